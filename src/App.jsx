@@ -13,15 +13,34 @@ import {
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { OceanSystem } from './ocean/OceanSystem';
 import { PlanarReflectionPass } from './ocean/render/PlanarReflectionPass';
+import { RefractionPass } from './ocean/render/RefractionPass';
+import { FloatingOrigin } from './scene/FloatingOrigin';
+import { formatUtcDateTime } from './sky/Ephemeris';
+import { SkyEnvironment } from './sky/SkyEnvironment';
 import { SkySystem } from './sky/SkySystem';
 import { createOceanGui, defaultPreset } from './ui/controls';
 
 const DPR_CAP = 1.75;
+const ABOVE_WATER_MAX_POLAR_ANGLE = Math.PI * 0.497;
+// Below the surface the camera may look up at Snell's window.
+const UNDERWATER_MAX_POLAR_ANGLE = Math.PI * 0.92;
 const REFLECTION_QUALITY_SCALE = {
   medium: 0.55,
   high: 0.8,
   ultra: 1.0,
 };
+// GUI keys handled by SkySystem.setParam rather than the ocean.
+const SKY_PARAMS = new Set([
+  'sunElevation',
+  'sunAzimuth',
+  'timeOfDay',
+  'timeSpeed',
+  'moonPhase',
+  'useEphemeris',
+  'latitude',
+  'longitude',
+  'dateTime',
+]);
 
 const App = () => {
   const mountRef = useRef(null);
@@ -37,6 +56,9 @@ const App = () => {
     scene.background = new Color(0x7ea2ca);
     scene.fog = new FogExp2(0x8fa8bd, 0.00009);
 
+    const aboveWaterFog = scene.fog;
+    const underwaterFog = new FogExp2(0x0b4a5e, 0.045);
+
     const camera = new PerspectiveCamera(55, window.innerWidth / window.innerHeight, 0.1, 180000);
     camera.position.set(38, 9, 42);
 
@@ -79,11 +101,12 @@ const App = () => {
     controls.dampingFactor = 0.045;
     controls.minDistance = 6;
     controls.maxDistance = 28000;
-    controls.maxPolarAngle = Math.PI * 0.497;
+    controls.maxPolarAngle = ABOVE_WATER_MAX_POLAR_ANGLE;
     controls.target.set(0, 2.5, 0);
     controls.update();
 
     const skySystem = new SkySystem(scene);
+    const skyEnvironment = new SkyEnvironment({ renderer, skySystem });
     const oceanSystem = new OceanSystem({
       renderer,
       scene,
@@ -92,7 +115,9 @@ const App = () => {
       params: defaultPreset,
     });
 
-    skySystem.setSun(defaultPreset.sunElevation);
+    skySystem.setMoonPhase(defaultPreset.moonPhase);
+    skySystem.setTimeSpeed(defaultPreset.timeSpeed);
+    skySystem.setSun(defaultPreset.sunElevation, defaultPreset.sunAzimuth);
 
     const planarReflectionPass = new PlanarReflectionPass({
       renderer,
@@ -102,17 +127,52 @@ const App = () => {
       resolutionScale: REFLECTION_QUALITY_SCALE[defaultPreset.reflectionQuality] ?? 0.8,
     });
 
+    const refractionPass = new RefractionPass({
+      renderer,
+      scene,
+      camera,
+      oceanRoot: oceanSystem.root,
+    });
+    refractionPass.setEnabled(defaultPreset.screenRefraction);
+
+    // The ocean follows the camera itself and the sky only carries directions, so neither is moved on a rebase.
+    const floatingOrigin = new FloatingOrigin();
+    floatingOrigin.anchor(oceanSystem.root, skySystem.sky, skySystem.light, skySystem.moonLight, skySystem.celestial);
+    floatingOrigin.onRebase((shift) => {
+      controls.target.sub(shift);
+      oceanSystem.shiftOrigin(shift);
+    });
+
     const applyPreset = (presetValues) => {
+      if (typeof presetValues.seed === 'number') oceanSystem.setParam('seed', presetValues.seed);
       if (typeof presetValues.windSpeed === 'number') oceanSystem.setParam('windSpeed', presetValues.windSpeed);
       if (typeof presetValues.windDirection === 'number') oceanSystem.setParam('windDirection', presetValues.windDirection);
+      if (typeof presetValues.fetchKm === 'number') oceanSystem.setParam('fetchKm', presetValues.fetchKm);
       if (typeof presetValues.choppiness === 'number') oceanSystem.setParam('choppiness', presetValues.choppiness);
       if (typeof presetValues.foamIntensity === 'number') oceanSystem.setParam('foamIntensity', presetValues.foamIntensity);
       if (typeof presetValues.foamScale === 'number') oceanSystem.setParam('foamScale', presetValues.foamScale);
+      if (typeof presetValues.foamDecay === 'number') oceanSystem.setParam('foamDecay', presetValues.foamDecay);
+      if (typeof presetValues.causticsStrength === 'number') oceanSystem.setParam('causticsStrength', presetValues.causticsStrength);
       if (typeof presetValues.sunScatterStrength === 'number') oceanSystem.setParam('sunScatterStrength', presetValues.sunScatterStrength);
       if (typeof presetValues.reflectionStrength === 'number') oceanSystem.setParam('reflectionStrength', presetValues.reflectionStrength);
       if (typeof presetValues.reflectionDistortion === 'number') oceanSystem.setParam('reflectionDistortion', presetValues.reflectionDistortion);
+      if (typeof presetValues.spectrumModel === 'string') oceanSystem.setParam('spectrumModel', presetValues.spectrumModel);
+      if (typeof presetValues.phillipsAmplitude === 'number') oceanSystem.setParam('phillipsAmplitude', presetValues.phillipsAmplitude);
+      if (typeof presetValues.phillipsCutoff === 'number') oceanSystem.setParam('phillipsCutoff', presetValues.phillipsCutoff);
+      if (typeof presetValues.jonswapGamma === 'number') oceanSystem.setParam('jonswapGamma', presetValues.jonswapGamma);
+      if (typeof presetValues.jonswapSigmaA === 'number') oceanSystem.setParam('jonswapSigmaA', presetValues.jonswapSigmaA);
+      if (typeof presetValues.jonswapSigmaB === 'number') oceanSystem.setParam('jonswapSigmaB', presetValues.jonswapSigmaB);
+      if (typeof presetValues.waterDepth === 'number') oceanSystem.setParam('waterDepth', presetValues.waterDepth);
+      if (typeof presetValues.elfouhailyGamma === 'number') oceanSystem.setParam('elfouhailyGamma', presetValues.elfouhailyGamma);
+      if (typeof presetValues.windSeaSpreading === 'number') oceanSystem.setParam('windSeaSpreading', presetValues.windSeaSpreading);
+      if (Array.isArray(presetValues.swells)) oceanSystem.setParam('swells', presetValues.swells);
       if (typeof presetValues.lodScale === 'number') oceanSystem.setParam('lodScale', presetValues.lodScale);
-      if (typeof presetValues.sunElevation === 'number') skySystem.setSun(presetValues.sunElevation);
+      if (typeof presetValues.surfaceMode === 'string') oceanSystem.setParam('surfaceMode', presetValues.surfaceMode);
+      if (typeof presetValues.planetCurvature === 'boolean') oceanSystem.setParam('planetCurvature', presetValues.planetCurvature);
+      if (typeof presetValues.planetRadiusKm === 'number') oceanSystem.setParam('planetRadiusKm', presetValues.planetRadiusKm);
+      if (typeof presetValues.moonPhase === 'number') skySystem.setMoonPhase(presetValues.moonPhase);
+      if (typeof presetValues.timeSpeed === 'number') skySystem.setTimeSpeed(presetValues.timeSpeed);
+      if (typeof presetValues.sunElevation === 'number') skySystem.setSun(presetValues.sunElevation, presetValues.sunAzimuth);
       if (typeof presetValues.exposure === 'number') renderer.toneMappingExposure = presetValues.exposure;
       if (typeof presetValues.quality === 'string') {
         oceanSystem.setQualityPreset(presetValues.quality);
@@ -120,13 +180,21 @@ const App = () => {
       if (typeof presetValues.reflectionQuality === 'string') {
         planarReflectionPass.setResolutionScale(REFLECTION_QUALITY_SCALE[presetValues.reflectionQuality] ?? 0.8);
       }
+      if (typeof presetValues.screenRefraction === 'boolean') refractionPass.setEnabled(presetValues.screenRefraction);
     };
 
     const guiController = createOceanGui({
-      initialParams: defaultPreset,
+      initialParams: {
+        ...defaultPreset,
+        timeOfDay: skySystem.timeOfDay,
+        useEphemeris: skySystem.useEphemeris,
+        latitude: skySystem.latitude,
+        longitude: skySystem.longitude,
+        dateTime: formatUtcDateTime(skySystem.date),
+      },
       onOceanParamChange: (key, value) => {
-        if (key === 'sunElevation') {
-          skySystem.setSun(value);
+        if (SKY_PARAMS.has(key)) {
+          skySystem.setParam(key, value);
           return;
         }
 
@@ -147,6 +215,9 @@ const App = () => {
       onReflectionQualityChange: (value) => {
         planarReflectionPass.setResolutionScale(REFLECTION_QUALITY_SCALE[value] ?? 0.8);
       },
+      onScreenRefractionChange: (value) => {
+        refractionPass.setEnabled(value);
+      },
     });
 
     const keyState = {};
@@ -203,10 +274,48 @@ const App = () => {
       renderer.setPixelRatio(Math.min(window.devicePixelRatio, DPR_CAP));
       renderer.setSize(window.innerWidth, window.innerHeight);
       planarReflectionPass.resize(window.innerWidth, window.innerHeight);
+      refractionPass.resize(window.innerWidth, window.innerHeight);
     };
 
     window.addEventListener('resize', onResize);
 
+    const updateUnderwaterState = () => {
+      const underwater = oceanSystem.isCameraUnderwater();
+
+      // The ocean shaders write display values, built-in materials convert linear colour on output.
+      underwaterFog.color.copy(oceanSystem.getUnderwaterColor()).convertSRGBToLinear();
+      scene.fog = underwater ? underwaterFog : aboveWaterFog;
+      controls.maxPolarAngle = underwater ? UNDERWATER_MAX_POLAR_ANGLE : ABOVE_WATER_MAX_POLAR_ANGLE;
+    };
+
+    const updateSurfaceStats = () => {
+      const stats = oceanSystem.getSurfaceStats();
+
+      if (stats) {
+        guiController.stats.patchesDrawn = stats.patchesDrawn;
+        guiController.stats.triangles = stats.triangles;
+      }
+    };
+
+    // The clock moves the sun, so the GUI reads its position back every frame. The date text is only written when the
+    // date itself moved, so it can be edited in between.
+    let shownDateTime = formatUtcDateTime(skySystem.date);
+    const updateSkyParams = () => {
+      const { params } = guiController;
+      params.timeOfDay = skySystem.timeOfDay;
+      params.sunElevation = skySystem.sunElevation;
+      params.sunAzimuth = skySystem.sunAzimuth;
+      params.moonPhase = skySystem.moonPhase;
+      params.useEphemeris = skySystem.useEphemeris;
+
+      const dateTime = formatUtcDateTime(skySystem.date);
+
+      if (dateTime !== shownDateTime) {
+        params.dateTime = dateTime;
+        shownDateTime = dateTime;
+      }
+    };
+
     const clock = new Clock();
     let rafId = null;
 
@@ -216,10 +325,25 @@ const App = () => {
 
       updateFlightControls(delta);
       controls.update();
+      floatingOrigin.update(camera, scene);
+      skySystem.update(delta, camera);
+      updateSkyParams();
       oceanSystem.update(delta, elapsed, skySystem.getLightingState());
+      skySystem.setHorizonDip(oceanSystem.getHorizonDip());
+
+      if (skyEnvironment.update(delta)) {
+        scene.environment = skyEnvironment.getTexture();
+        oceanSystem.setEnvironment(skyEnvironment.getTexture());
+      }
+
+      updateUnderwaterState();
+      updateSurfaceStats();
       planarReflectionPass.update({
         oceanUniforms: oceanSystem.uniforms,
       });
+      refractionPass.update({
+        oceanUniforms: oceanSystem.uniforms,
+      });
 
       renderer.render(scene, camera);
       rafId = window.requestAnimationFrame(tick);
@@ -238,8 +362,11 @@ const App = () => {
 
       guiController.dispose();
       oceanSystem.dispose();
+      scene.environment = null;
+      skyEnvironment.dispose();
       skySystem.dispose();
       planarReflectionPass.dispose();
+      refractionPass.dispose();
       controls.dispose();
       renderer.dispose();
 
@@ -0,0 +1,74 @@
+import { DataUtils, FloatType, HalfFloatType, MathUtils, RedFormat } from 'three';
+
+const readChannel = (texture, index) => {
+  const value = texture.image.data[index];
+
+  if (texture.type === HalfFloatType) {
+    return DataUtils.fromHalfFloat(value);
+  }
+
+  if (texture.type === FloatType) {
+    return value;
+  }
+
+  return value / 255.0;
+};
+
+// Seabed heightmap placed over a world-space rectangle. Red channel 0..1 maps to minHeight..maxHeight, sea level is y = 0.
+export class OceanBathymetry {
+  constructor({ texture, center = [0.0, 0.0], size = [2000.0, 2000.0], minHeight = -50.0, maxHeight = 0.0 }) {
+    this.texture = texture;
+    this.center = [center[0], center[1]];
+    this.size = [Math.max(1.0, size[0]), Math.max(1.0, size[1])];
+    this.minHeight = minHeight;
+    this.maxHeight = maxHeight;
+  }
+
+  getBounds() {
+    return {
+      minX: this.center[0] - this.size[0] * 0.5,
+      minZ: this.center[1] - this.size[1] * 0.5,
+      sizeX: this.size[0],
+      sizeZ: this.size[1],
+    };
+  }
+
+  // CPU lookups need the texel data, so only DataTextures (not images) drive surface queries and buoyancy.
+  hasData() {
+    return Boolean(this.texture && this.texture.image && this.texture.image.data);
+  }
+
+  getSeabedHeightAt(x, z) {
+    const { minX, minZ, sizeX, sizeZ } = this.getBounds();
+    const u = (x - minX) / sizeX;
+    const v = (z - minZ) / sizeZ;
+
+    if (!this.hasData() || u < 0.0 || u > 1.0 || v < 0.0 || v > 1.0) {
+      return null;
+    }
+
+    const { width, height } = this.texture.image;
+    const channels = this.texture.format === RedFormat ? 1 : 4;
+
+    // Texel centres, clamped to the edge like the GPU sampler.
+    const px = MathUtils.clamp(u * width - 0.5, 0.0, width - 1.0);
+    const py = MathUtils.clamp(v * height - 0.5, 0.0, height - 1.0);
+    const x0 = Math.floor(px);
+    const y0 = Math.floor(py);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fx = px - x0;
+    const fy = py - y0;
+
+    const texel = (tx, ty) => readChannel(this.texture, (ty * width + tx) * channels);
+    const top = MathUtils.lerp(texel(x0, y0), texel(x1, y0), fx);
+    const bottom = MathUtils.lerp(texel(x0, y1), texel(x1, y1), fx);
+
+    return MathUtils.lerp(this.minHeight, this.maxHeight, MathUtils.lerp(top, bottom, fy));
+  }
+
+  getDepthAt(x, z, fallbackDepth) {
+    const seabedHeight = this.getSeabedHeightAt(x, z);
+    return seabedHeight === null ? fallbackDepth : Math.max(-seabedHeight, 0.0);
+  }
+}
@@ -0,0 +1,31 @@
+import { DataTexture, FloatType, RedFormat } from 'three';
+import { describe, expect, it } from 'vitest';
+import { OceanBathymetry } from './OceanBathymetry';
+
+const createBathymetry = () =>
+  new OceanBathymetry({
+    // Seabed rises from -40 m on the left column to +10 m on the right column.
+    texture: new DataTexture(new Float32Array([0.0, 1.0, 0.0, 1.0]), 2, 2, RedFormat, FloatType),
+    center: [100.0, 0.0],
+    size: [200.0, 200.0],
+    minHeight: -40.0,
+    maxHeight: 10.0,
+  });
+
+describe('OceanBathymetry', () => {
+  it('interpolates seabed heights between texel centres', () => {
+    const bathymetry = createBathymetry();
+
+    expect(bathymetry.getSeabedHeightAt(50.0, 0.0)).toBeCloseTo(-40.0);
+    expect(bathymetry.getSeabedHeightAt(100.0, 0.0)).toBeCloseTo(-15.0);
+    expect(bathymetry.getSeabedHeightAt(150.0, 0.0)).toBeCloseTo(10.0);
+  });
+
+  it('reports water depth, clamping land to zero and falling back outside its bounds', () => {
+    const bathymetry = createBathymetry();
+
+    expect(bathymetry.getDepthAt(50.0, 0.0, 500.0)).toBeCloseTo(40.0);
+    expect(bathymetry.getDepthAt(190.0, 0.0, 500.0)).toBe(0.0);
+    expect(bathymetry.getDepthAt(-20.0, 0.0, 500.0)).toBe(500.0);
+  });
+});
@@ -0,0 +1,148 @@
+import { MathUtils, Quaternion, Vector3 } from 'three';
+
+const GRAVITY = 9.81;
+const WATER_DENSITY = 1025.0;
+const MAX_DELTA = 0.1;
+const MAX_STEP = 1.0 / 120.0;
+
+const DEFAULT_SAMPLE_POINTS = [
+  new Vector3(-0.5, 0.0, -0.5),
+  new Vector3(0.5, 0.0, -0.5),
+  new Vector3(-0.5, 0.0, 0.5),
+  new Vector3(0.5, 0.0, 0.5),
+];
+
+const computeInertia = (samplePoints, mass) => {
+  const spread = samplePoints.reduce((sum, point) => sum + point.x * point.x + point.z * point.z, 0.0) / samplePoints.length;
+  return mass * Math.max(spread, 0.05);
+};
+
+export class OceanBuoyancy {
+  constructor({ sampleHeight, gravity = GRAVITY, waterDensity = WATER_DENSITY } = {}) {
+    this.sampleHeight = sampleHeight;
+    this.gravity = gravity;
+    this.waterDensity = waterDensity;
+
+    this.bodies = new Map();
+
+    this.center = new Vector3();
+    this.worldPoint = new Vector3();
+    this.lever = new Vector3();
+    this.torque = new Vector3();
+    this.spinAxis = new Vector3();
+    this.spin = new Quaternion();
+  }
+
+  register(
+    object,
+    { samplePoints = DEFAULT_SAMPLE_POINTS, mass = 1.0, drag = 4.0, angularDrag = 4.0, volume, pointHeight = 1.0 } = {}
+  ) {
+    if (!samplePoints.length) {
+      throw new Error('Buoyant objects need at least one sample point.');
+    }
+
+    const bodyMass = Math.max(0.001, mass);
+    const points = samplePoints.map((point) => point.clone());
+
+    const body = {
+      object,
+      samplePoints: points,
+      mass: bodyMass,
+      drag,
+      angularDrag,
+      // Default volume floats the object half submerged at rest.
+      volume: volume !== undefined ? volume : (2.0 * bodyMass) / this.waterDensity,
+      pointHeight: Math.max(0.01, pointHeight),
+      inertia: computeInertia(points, bodyMass),
+      velocity: 0.0,
+      angularVelocity: new Vector3(),
+      submersion: 0.0,
+    };
+
+    this.bodies.set(object, body);
+
+    return body;
+  }
+
+  unregister(object) {
+    this.bodies.delete(object);
+  }
+
+  has(object) {
+    return this.bodies.has(object);
+  }
+
+  clear() {
+    this.bodies.clear();
+  }
+
+  setHeightSampler(sampleHeight) {
+    this.sampleHeight = sampleHeight;
+  }
+
+  #step(body, deltaTime) {
+    const { object, samplePoints } = body;
+
+    object.updateMatrixWorld();
+    this.center.setFromMatrixPosition(object.matrixWorld);
+    this.torque.set(0.0, 0.0, 0.0);
+
+    const pointLift = (this.waterDensity * this.gravity * body.volume) / samplePoints.length;
+    let lift = 0.0;
+    let submerged = 0.0;
+
+    samplePoints.forEach((point) => {
+      this.worldPoint.copy(point).applyMatrix4(object.matrixWorld);
+
+      const depth = this.sampleHeight(this.worldPoint.x, this.worldPoint.z) - this.worldPoint.y;
+      const submersion = MathUtils.clamp(depth / body.pointHeight + 0.5, 0.0, 1.0);
+      const force = pointLift * submersion;
+
+      lift += force;
+      submerged += submersion;
+
+      // Vertical force at a lever arm: r x (0, F, 0) keeps only the pitch and roll axes.
+      this.lever.subVectors(this.worldPoint, this.center);
+      this.torque.x -= this.lever.z * force;
+      this.torque.z += this.lever.x * force;
+    });
+
+    body.submersion = submerged / samplePoints.length;
+
+    const acceleration = lift / body.mass - this.gravity - body.drag * body.submersion * body.velocity;
+    body.velocity += acceleration * deltaTime;
+    object.position.y += body.velocity * deltaTime;
+
+    const angularDamping = body.angularDrag * body.submersion;
+    body.angularVelocity.x += (this.torque.x / body.inertia - angularDamping * body.angularVelocity.x) * deltaTime;
+    body.angularVelocity.z += (this.torque.z / body.inertia - angularDamping * body.angularVelocity.z) * deltaTime;
+
+    const angularSpeed = body.angularVelocity.length();
+
+    if (angularSpeed > 1e-6) {
+      this.spinAxis.copy(body.angularVelocity).divideScalar(angularSpeed);
+      this.spin.setFromAxisAngle(this.spinAxis, angularSpeed * deltaTime);
+      object.quaternion.premultiply(this.spin);
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.sampleHeight || this.bodies.size === 0) {
+      return;
+    }
+
+    const clampedDelta = Math.min(MAX_DELTA, Math.max(0.0, deltaTime));
+    const steps = Math.max(1, Math.ceil(clampedDelta / MAX_STEP));
+    const stepDelta = clampedDelta / steps;
+
+    if (stepDelta <= 0.0) {
+      return;
+    }
+
+    this.bodies.forEach((body) => {
+      for (let i = 0; i < steps; i += 1) {
+        this.#step(body, stepDelta);
+      }
+    });
+  }
+}
@@ -0,0 +1,71 @@
+import { Object3D, Vector3 } from 'three';
+import { describe, expect, it } from 'vitest';
+import { OceanBuoyancy } from './OceanBuoyancy';
+
+const simulate = (buoyancy, seconds, deltaTime = 1.0 / 60.0) => {
+  for (let time = 0.0; time < seconds; time += deltaTime) {
+    buoyancy.update(deltaTime);
+  }
+};
+
+describe('OceanBuoyancy', () => {
+  it('settles a body at its equilibrium draft on a flat heightfield', () => {
+    const buoyancy = new OceanBuoyancy({ sampleHeight: () => 2.0 });
+    const buoy = new Object3D();
+    buoy.position.set(10.0, 6.0, -4.0);
+
+    buoyancy.register(buoy, { mass: 120.0 });
+    simulate(buoyancy, 20.0);
+
+    expect(buoy.position.y).toBeCloseTo(2.0, 2);
+    expect(buoy.position.x).toBe(10.0);
+    expect(buoy.position.z).toBe(-4.0);
+  });
+
+  it('floats higher when the displaced volume grows', () => {
+    const buoyancy = new OceanBuoyancy({ sampleHeight: () => 0.0 });
+    const light = new Object3D();
+    const heavy = new Object3D();
+
+    buoyancy.register(light, { mass: 100.0, volume: 0.4 });
+    buoyancy.register(heavy, { mass: 300.0, volume: 0.4 });
+    simulate(buoyancy, 20.0);
+
+    expect(light.position.y).toBeGreaterThan(heavy.position.y);
+  });
+
+  it('rights a tilted body through pitch and roll torque', () => {
+    const buoyancy = new OceanBuoyancy({ sampleHeight: () => 0.0 });
+    const boat = new Object3D();
+    boat.rotation.set(0.35, 0.0, -0.25);
+
+    buoyancy.register(boat, { mass: 80.0 });
+    simulate(buoyancy, 20.0);
+
+    const up = new Vector3(0.0, 1.0, 0.0);
+    expect(up.clone().applyQuaternion(boat.quaternion).angleTo(up)).toBeLessThan(0.01);
+  });
+
+  it('pitches to follow a sloped heightfield', () => {
+    const buoyancy = new OceanBuoyancy({ sampleHeight: (x) => x * 0.2 });
+    const debris = new Object3D();
+
+    buoyancy.register(debris, { mass: 40.0 });
+    simulate(buoyancy, 20.0);
+
+    // Surface rises towards +x, so the body rolls about +z to match its slope.
+    expect(debris.rotation.z).toBeCloseTo(Math.atan(0.2), 1);
+  });
+
+  it('stops moving bodies once they are unregistered', () => {
+    const buoyancy = new OceanBuoyancy({ sampleHeight: () => 0.0 });
+    const buoy = new Object3D();
+    buoy.position.y = 5.0;
+
+    buoyancy.register(buoy, { mass: 50.0 });
+    buoyancy.unregister(buoy);
+    simulate(buoyancy, 1.0);
+
+    expect(buoy.position.y).toBe(5.0);
+  });
+});
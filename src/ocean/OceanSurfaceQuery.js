@@ -0,0 +1,85 @@
+import { Vector3 } from 'three';
+import { VERTICAL_DISPLACEMENT_SCALE, getCascadeWavenumber, getCascadeWeight, getShallowWaterResponse } from './render/OceanMaterial';
+
+const HEIGHT_SOLVE_ITERATIONS = 4;
+
+const fract = (value) => value - Math.floor(value);
+
+// Mirrors the cascade composition in the OceanMaterial vertex shader on CPU-side displacement snapshots.
+export class OceanSurfaceQuery {
+  constructor({ cascades = [], sampleDepth = null } = {}) {
+    this.cascades = cascades;
+    this.sampleDepth = sampleDepth;
+
+    this.displacementScale = 1.0;
+    this.viewerPosition = new Vector3();
+    // World position of the scene origin, so queries in scene coordinates read the same waves as the shaders.
+    this.originOffset = new Vector3();
+
+    this.cascadeSample = new Vector3();
+    this.solveSample = new Vector3();
+    this.shallowWaterResponse = { vertical: 1.0, horizontal: 1.0 };
+  }
+
+  setCascades(cascades) {
+    this.cascades = cascades;
+  }
+
+  setDepthSampler(sampleDepth) {
+    this.sampleDepth = sampleDepth;
+  }
+
+  setSurfaceState({ displacementScale, viewerPosition, originOffset }) {
+    if (typeof displacementScale === 'number') this.displacementScale = displacementScale;
+    if (viewerPosition) this.viewerPosition.copy(viewerPosition);
+    if (originOffset) this.originOffset.copy(originOffset);
+  }
+
+  isReady() {
+    return this.cascades.length > 0 && this.cascades.every(({ source }) => source.ready);
+  }
+
+  getDisplacementAt(x, z, target = new Vector3()) {
+    target.set(0.0, 0.0, 0.0);
+
+    const viewDistance = Math.hypot(this.viewerPosition.x - x, this.viewerPosition.z - z);
+    const depth = this.sampleDepth ? this.sampleDepth(x, z) : Infinity;
+
+    this.cascades.forEach(({ source, size }, index) => {
+      const weight = getCascadeWeight(index, size, viewDistance);
+
+      if (weight <= 0.0) {
+        return;
+      }
+
+      source.sample(fract((x + this.originOffset.x) / size), fract((z + this.originOffset.z) / size), this.cascadeSample);
+
+      const response = getShallowWaterResponse(getCascadeWavenumber(size), depth, this.shallowWaterResponse);
+      this.cascadeSample.x *= response.horizontal;
+      this.cascadeSample.y *= response.vertical;
+      this.cascadeSample.z *= response.horizontal;
+
+      target.addScaledVector(this.cascadeSample, weight);
+    });
+
+    target.x *= this.displacementScale;
+    target.z *= this.displacementScale;
+    target.y *= this.displacementScale * VERTICAL_DISPLACEMENT_SCALE;
+
+    return target;
+  }
+
+  getHeightAt(x, z) {
+    // Choppy waves move vertices sideways, so find the grid point that lands on (x, z) before reading its height.
+    let gridX = x;
+    let gridZ = z;
+
+    for (let i = 0; i < HEIGHT_SOLVE_ITERATIONS; i += 1) {
+      this.getDisplacementAt(gridX, gridZ, this.solveSample);
+      gridX = x - this.solveSample.x;
+      gridZ = z - this.solveSample.z;
+    }
+
+    return this.getDisplacementAt(gridX, gridZ, this.solveSample).y;
+  }
+}
@@ -0,0 +1,113 @@
+import { Vector3 } from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import { OceanSurfaceQuery } from './OceanSurfaceQuery';
+import { DisplacementReadback } from './simulation/DisplacementReadback';
+
+const createSyntheticSource = (displace) => ({
+  ready: true,
+  sample: (u, v, target) => target.copy(displace(u, v)),
+});
+
+describe('DisplacementReadback', () => {
+  it('bilinearly samples the stored snapshot with repeat wrapping', () => {
+    const readback = new DisplacementReadback(null, { resolution: 2 });
+    readback.data.set([0, 0, 0, 0, 0, 4, 0, 0, 0, 8, 0, 0, 0, 12, 0, 0]);
+
+    const target = new Vector3();
+
+    expect(readback.sample(0.25, 0.25, target).y).toBeCloseTo(0.0);
+    expect(readback.sample(0.5, 0.25, target).y).toBeCloseTo(2.0);
+    expect(readback.sample(0.5, 0.5, target).y).toBeCloseTo(6.0);
+    expect(readback.sample(0.0, 0.25, target).y).toBeCloseTo(2.0);
+  });
+
+  it('stops reading after the first rejected read', async () => {
+    const renderer = { readRenderTargetPixelsAsync: vi.fn(() => Promise.reject(new Error('unsupported'))) };
+    const readback = new DisplacementReadback(renderer, { resolution: 2, interval: 1 });
+    const renderTarget = { texture: {} };
+
+    readback.update(renderTarget, 0.0);
+    await vi.waitFor(() => expect(readback.pending).toBe(false));
+
+    for (let i = 0; i < 8; i += 1) {
+      readback.update(renderTarget, i);
+    }
+
+    expect(renderer.readRenderTargetPixelsAsync).toHaveBeenCalledTimes(1);
+    expect(readback.failed).toBe(true);
+    expect(readback.ready).toBe(false);
+  });
+});
+
+describe('OceanSurfaceQuery', () => {
+  it('sums every cascade with the material displacement scale', () => {
+    const query = new OceanSurfaceQuery({
+      cascades: [
+        { source: createSyntheticSource(() => new Vector3(0.0, 2.0, 0.0)), size: 100.0 },
+        { source: createSyntheticSource(() => new Vector3(0.0, 0.5, 0.0)), size: 17.0 },
+      ],
+    });
+    query.setSurfaceState({ displacementScale: 1.5, viewerPosition: new Vector3(12.0, 30.0, -40.0) });
+
+    const displacement = query.getDisplacementAt(12.0, -40.0);
+
+    expect(displacement.y).toBeCloseTo(2.5 * 1.5 * 1.2);
+    expect(query.getHeightAt(12.0, -40.0)).toBeCloseTo(displacement.y);
+  });
+
+  it('reads the same waves in scene coordinates after the origin moves', () => {
+    const query = new OceanSurfaceQuery({
+      cascades: [{ source: createSyntheticSource((u, v) => new Vector3(0.0, u + 2.0 * v, 0.0)), size: 37.0 }],
+    });
+
+    const before = query.getDisplacementAt(5130.0, -10.0).y;
+    query.setSurfaceState({ originOffset: new Vector3(5120.0, 0.0, 0.0) });
+
+    expect(query.getDisplacementAt(10.0, -10.0).y).toBeCloseTo(before);
+  });
+
+  it('fades finer cascades out with distance from the viewer', () => {
+    const query = new OceanSurfaceQuery({
+      cascades: [
+        { source: createSyntheticSource(() => new Vector3(0.0, 1.0, 0.0)), size: 100.0 },
+        { source: createSyntheticSource(() => new Vector3(0.0, 1.0, 0.0)), size: 10.0 },
+      ],
+    });
+    query.setSurfaceState({ displacementScale: 1.0, viewerPosition: new Vector3(0.0, 0.0, 0.0) });
+
+    expect(query.getDisplacementAt(5000.0, 0.0).y).toBeCloseTo(1.2);
+  });
+
+  it('resolves horizontal displacement before reading the height', () => {
+    // Heightfield rises linearly along x while every vertex is pushed +3 units in x.
+    const query = new OceanSurfaceQuery({
+      cascades: [{ source: createSyntheticSource((u) => new Vector3(3.0, u * 10.0, 0.0)), size: 1000.0 }],
+    });
+    query.setSurfaceState({ displacementScale: 1.0 });
+
+    expect(query.getHeightAt(503.0, 0.0)).toBeCloseTo(((503.0 - 3.0) / 1000.0) * 10.0 * 1.2, 4);
+  });
+
+  it('shoals waves over shallow water and calms them at the shoreline', () => {
+    const createQuery = (depth) =>
+      new OceanSurfaceQuery({
+        cascades: [{ source: createSyntheticSource(() => new Vector3(0.0, 1.0, 0.0)), size: 200.0 }],
+        sampleDepth: () => depth,
+      });
+
+    expect(createQuery(500.0).getDisplacementAt(0.0, 0.0).y).toBeCloseTo(1.2);
+    expect(createQuery(3.0).getDisplacementAt(0.0, 0.0).y).toBeGreaterThan(1.2);
+    expect(createQuery(0.0).getDisplacementAt(0.0, 0.0).y).toBe(0.0);
+  });
+
+  it('reports readiness only once every cascade has a snapshot', () => {
+    const query = new OceanSurfaceQuery({
+      cascades: [
+        { source: createSyntheticSource(() => new Vector3()), size: 100.0 },
+        { source: { ready: false, sample: (u, v, target) => target.set(0.0, 0.0, 0.0) }, size: 10.0 },
+      ],
+    });
+
+    expect(query.isReady()).toBe(false);
+  });
+});
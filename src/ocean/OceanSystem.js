@@ -1,38 +1,59 @@
-import { Group, MathUtils } from 'three';
+import { Color, Group, MathUtils, Vector3 } from 'three';
+import { OceanBathymetry } from './OceanBathymetry';
+import { OceanBuoyancy } from './OceanBuoyancy';
+import { OceanSurfaceQuery } from './OceanSurfaceQuery';
 import { OceanLODGrid } from './render/OceanLODGrid';
-import { createOceanMaterial } from './render/OceanMaterial';
-import { OceanFFT } from './simulation/OceanFFT';
+import {
+  createOceanMaterial,
+  getCascadeWavenumber,
+  getHorizonDip,
+  getShallowWaterResponse,
+  MAX_SHALLOW_CHOP,
+  MAX_SHOALING,
+} from './render/OceanMaterial';
+import { OceanProjectedGrid } from './render/OceanProjectedGrid';
+import { OceanUnderwater } from './render/OceanUnderwater';
+import { DisplacementReadback } from './simulation/DisplacementReadback';
+import { OceanCaustics } from './simulation/OceanCaustics';
+import { OceanRipples } from './simulation/OceanRipples';
+import { DEFAULT_OCEAN_SEED, DEFAULT_SPECTRUM_PARAMS, OceanFFT } from './simulation/OceanFFT';
+import { OceanWakes } from './simulation/OceanWakes';
 
 export const QUALITY_PRESETS = {
   performance: {
     fftResolution: 128,
-    simulationSize: 840,
+    cascadeSizes: [840, 137],
     levelSizes: [224, 448, 896, 1792, 3584, 7168, 14336],
     baseCellSize: 1.75,
-    ringOverlap: 0.2,
     displacementScale: 0.95,
+    surfaceMode: 'projectedGrid',
+    projectedGrid: { columns: 192, rows: 288 },
   },
   balanced: {
     fftResolution: 256,
-    simulationSize: 980,
+    cascadeSizes: [980, 173, 31.3],
     levelSizes: [256, 512, 1024, 2048, 4096, 8192, 16384],
     baseCellSize: 1.2,
-    ringOverlap: 0.24,
     displacementScale: 1.1,
+    surfaceMode: 'lodRings',
+    projectedGrid: { columns: 256, rows: 384 },
   },
   cinematic: {
     fftResolution: 512,
-    simulationSize: 1180,
+    cascadeSizes: [1180, 241, 49.7, 11.3],
     levelSizes: [320, 640, 1280, 2560, 5120, 10240, 20480],
     baseCellSize: 0.95,
-    ringOverlap: 0.28,
     displacementScale: 1.24,
+    surfaceMode: 'lodRings',
+    projectedGrid: { columns: 320, rows: 512 },
   },
 };
 
 const DEFAULT_PARAMS = {
+  seed: DEFAULT_OCEAN_SEED,
   windSpeed: 11.0,
   windDirection: 140.0,
+  fetchKm: 2000.0,
   choppiness: 1.45,
   foamIntensity: 0.52,
   sunElevation: 24.0,
@@ -41,12 +62,51 @@ const DEFAULT_PARAMS = {
   reflectionDistortion: 0.016,
   sunScatterStrength: 0.24,
   foamScale: 0.17,
+  foamDecay: 0.35,
+  causticsStrength: 0.35,
+  // 'preset' follows the quality preset; 'lodRings' or 'projectedGrid' override it to compare the two.
+  surfaceMode: 'preset',
+  // Wraps the sea onto a planet of this radius for horizon-scale views.
+  planetCurvature: false,
+  planetRadiusKm: 6371.0,
+  spectrumModel: 'elfouhaily',
+  ...DEFAULT_SPECTRUM_PARAMS,
+  swells: [],
 };
 
+// Light scattered back by the water column under a high sun, before the water above the camera filters it.
+const UNDERWATER_SCATTER_COLOR = new Color(0x0b4a5e);
+
+// Culling bounds for the surface: a readback snapshot's extremes scaled up for the crests still to come, plus the
+// ripples and wakes, or a generous guess until the first snapshot arrives.
+const DISPLACEMENT_BOUND_MARGIN = 1.5;
+const LOCAL_FIELD_BOUND = 1.5;
+const FALLBACK_DISPLACEMENT_BOUND = 30.0;
+
 const toRadians = (degrees) => MathUtils.degToRad(degrees);
 
+// Cox-Munk mean square slope of a clean sea surface, for far water whose waves are smaller than a pixel.
+export const computeSlopeVariance = (windSpeed) => 0.003 + 0.00512 * windSpeed;
+
+const disposeReadbackCascades = (cascades) => {
+  cascades.forEach(({ source }) => source.dispose());
+};
+
+// foamIntensity sets how much foam a breaking crest injects; foamScale raises the Jacobian threshold so gentler compression already whitens.
+export const toFoamParams = ({ foamIntensity, foamScale, foamDecay }) => ({
+  injection: foamIntensity * 4.0,
+  threshold: MathUtils.mapLinear(MathUtils.clamp(foamScale, 0.08, 0.38), 0.08, 0.38, 0.5, 1.0),
+  decay: foamDecay,
+});
+
+const toSwellComponents = (swells = []) =>
+  swells.map((swell) => ({
+    ...swell,
+    direction: toRadians(swell.direction),
+  }));
+
 export class OceanSystem {
-  constructor({ renderer, scene, camera, qualityPreset = 'balanced', params = {} }) {
+  constructor({ renderer, scene, camera, qualityPreset = 'balanced', params = {}, bathymetry = null }) {
     this.renderer = renderer;
     this.scene = scene;
     this.camera = camera;
@@ -64,10 +124,27 @@ export class OceanSystem {
     this.scene.add(this.root);
 
     this.fft = null;
-    this.lodGrid = null;
+    this.surface = null;
     this.material = null;
     this.uniforms = null;
-
+    this.underwater = null;
+    this.cameraWaterHeight = 0.0;
+    // World position of the scene origin, moved by shiftOrigin() when a floating origin rebases the scene.
+    this.originOffset = new Vector3();
+    this.readbackCascades = [];
+    this.retiredReadbackCascades = [];
+    this.bathymetry = null;
+    // Kept so a rebuilt material picks the sky environment up again.
+    this.environment = null;
+    this.surfaceQuery = new OceanSurfaceQuery({ sampleDepth: (x, z) => this.getWaterDepthAt(x, z) });
+    this.buoyancy = new OceanBuoyancy({ sampleHeight: (x, z) => this.surfaceQuery.getHeightAt(x, z) });
+    this.ripples = new OceanRipples(this.renderer);
+    this.rippleSources = new Map();
+    this.rippleSourcePosition = new Vector3();
+    this.wakes = new OceanWakes(this.renderer);
+    this.caustics = new OceanCaustics(this.renderer, { strength: this.params.causticsStrength });
+
+    this.setBathymetry(bathymetry);
     this.rebuild(this.qualityPreset);
   }
 
@@ -79,42 +156,132 @@ export class OceanSystem {
 
     this.fft = new OceanFFT(this.renderer, {
       resolution: this.quality.fftResolution,
-      size: this.quality.simulationSize,
+      cascadeSizes: this.quality.cascadeSizes,
       windSpeed: this.params.windSpeed,
       windDirection: toRadians(this.params.windDirection),
+      fetchLength: this.params.fetchKm * 1000.0,
       choppiness: this.params.choppiness,
+      spectrumModel: this.params.spectrumModel,
+      spectrumParams: this.params,
+      swellComponents: toSwellComponents(this.params.swells),
+      seed: this.params.seed,
       useHalfFloat: true,
     });
 
+    this.#replaceReadbacks();
+
     const { material, uniforms } = createOceanMaterial({
-      displacementMap: this.fft.getDisplacementMap(),
-      normalMap: this.fft.getNormalMap(),
-      simSize: this.quality.simulationSize,
+      displacementMaps: this.fft.getDisplacementMaps(),
+      normalMaps: this.fft.getNormalMaps(),
+      cascadeSizes: this.fft.cascadeSizes,
     });
 
     this.material = material;
     this.uniforms = uniforms;
 
-    this.lodGrid = new OceanLODGrid({
-      material: this.material,
-      levels: this.quality.levelSizes,
-      baseCellSize: this.quality.baseCellSize,
-      ringOverlap: this.quality.ringOverlap,
-    });
+    this.#buildSurface();
+
+    this.underwater = new OceanUnderwater({ uniforms: this.uniforms, cascadeCount: this.fft.cascadeSizes.length });
+    this.root.add(this.underwater.group);
+
+    this.#applyBathymetry();
+    this.#applyOriginOffset();
+    this.#applySurfaceParams();
+    this.#applyEnvironment();
+  }
+
+  // Zero while the sea is flat.
+  getPlanetRadius() {
+    return this.params.planetCurvature ? Math.max(this.params.planetRadiusKm, 1.0) * 1000.0 : 0.0;
+  }
+
+  // How far the sea horizon sits below eye level, for the sky to match.
+  getHorizonDip() {
+    return this.uniforms ? this.uniforms.uHorizonDip.value : 0.0;
+  }
+
+  // PMREM texture of the sky (see SkyEnvironment) for reflection and refraction; null falls back to the sky colours.
+  setEnvironment(texture) {
+    this.environment = texture;
+    this.#applyEnvironment();
+  }
+
+  #applyEnvironment() {
+    if (!this.uniforms) {
+      return;
+    }
+
+    this.uniforms.uEnvironmentMap.value = this.environment;
+    this.uniforms.uUseEnvironment.value = this.environment ? 1.0 : 0.0;
+  }
+
+  getSurfaceMode() {
+    return this.params.surfaceMode === 'preset' ? this.quality.surfaceMode : this.params.surfaceMode;
+  }
+
+  #buildSurface() {
+    const projected = this.getSurfaceMode() === 'projectedGrid';
 
-    this.lodGrid.setLodScale(this.params.lodScale);
-    this.root.add(this.lodGrid.group);
+    if (projected) {
+      this.material.defines.PROJECTED_GRID = '';
+    } else {
+      delete this.material.defines.PROJECTED_GRID;
+    }
+
+    this.material.needsUpdate = true;
+
+    this.surface = projected
+      ? new OceanProjectedGrid({ material: this.material, uniforms: this.uniforms, ...this.quality.projectedGrid })
+      : new OceanLODGrid({ material: this.material, levels: this.quality.levelSizes, baseCellSize: this.quality.baseCellSize });
 
-    this.#applyOceanParams();
+    this.surface.setLodScale(this.params.lodScale);
+    this.surface.setPlanetRadius(this.getPlanetRadius());
+    this.surface.setOriginOffset(this.originOffset.x, this.originOffset.z);
+    this.root.add(this.surface.group);
+  }
+
+  #disposeSurface() {
+    if (this.surface) {
+      this.surface.dispose();
+      this.root.remove(this.surface.group);
+      this.surface = null;
+    }
+  }
+
+  #replaceReadbacks() {
+    const previousCascades = this.readbackCascades;
+
+    this.readbackCascades = this.fft.cascadeSizes.map((size) => ({
+      source: new DisplacementReadback(this.renderer, { resolution: this.quality.fftResolution }),
+      size,
+    }));
+
+    this.#disposeRetiredReadbacks();
+
+    if (previousCascades.length > 0 && this.surfaceQuery.cascades === previousCascades && this.surfaceQuery.isReady()) {
+      // Keep answering queries (and floating objects) from the last snapshot until the new simulation is read back.
+      this.retiredReadbackCascades = previousCascades;
+      return;
+    }
+
+    disposeReadbackCascades(previousCascades);
+    this.surfaceQuery.setCascades(this.readbackCascades);
+  }
+
+  #disposeRetiredReadbacks() {
+    disposeReadbackCascades(this.retiredReadbackCascades);
+    this.retiredReadbackCascades = [];
   }
 
   #teardown() {
-    if (this.lodGrid) {
-      this.lodGrid.dispose();
-      this.root.remove(this.lodGrid.group);
-      this.lodGrid = null;
+    if (this.underwater) {
+      this.underwater.dispose();
+      this.root.remove(this.underwater.group);
+      this.underwater = null;
     }
 
+    this.#disposeSurface();
+
     if (this.material) {
       this.material.dispose();
       this.material = null;
@@ -127,29 +294,33 @@ export class OceanSystem {
     }
   }
 
-  #applyOceanParams() {
-    if (!this.fft || !this.uniforms) {
-      return;
-    }
-
+  // Anything that feeds the initial spectrum re-renders every cascade, so only these keys reach the FFT.
+  #applySpectrumParams() {
+    this.fft.setSeed(this.params.seed);
     this.fft.setWind(this.params.windSpeed, toRadians(this.params.windDirection));
+    this.fft.setFetch(this.params.fetchKm * 1000.0);
+    this.fft.setSpectrum(this.params.spectrumModel, this.params);
+    this.fft.setSwellComponents(toSwellComponents(this.params.swells));
+  }
+
+  #applySurfaceParams() {
     this.fft.setChoppiness(this.params.choppiness);
+    this.fft.setFoam(toFoamParams(this.params));
 
-    this.uniforms.uFoamIntensity.value = this.params.foamIntensity;
     this.uniforms.uDisplacementScale.value = this.quality.displacementScale * MathUtils.lerp(0.85, 1.2, this.params.choppiness / 3.2);
     this.uniforms.uNormalStrength.value = MathUtils.lerp(0.92, 1.35, Math.min(this.params.choppiness, 3.2) / 3.2);
     this.uniforms.uRoughness.value = MathUtils.lerp(0.09, 0.23, Math.min(this.params.windSpeed, 30.0) / 30.0);
-    this.uniforms.uDetailDrift.value.set(
-      Math.cos(toRadians(this.params.windDirection)),
-      Math.sin(toRadians(this.params.windDirection))
-    );
+    this.uniforms.uSlopeVariance.value = computeSlopeVariance(this.params.windSpeed);
+    this.uniforms.uWaterDepth.value = this.params.waterDepth;
     this.uniforms.uReflectionStrength.value = this.params.reflectionStrength;
     this.uniforms.uReflectionDistortion.value = this.params.reflectionDistortion;
     this.uniforms.uSunScatterStrength.value = this.params.sunScatterStrength;
-    this.uniforms.uFoamScale.value = this.params.foamScale;
+    this.uniforms.uPlanetRadius.value = this.getPlanetRadius();
+    this.caustics.setStrength(this.params.causticsStrength);
 
-    if (this.lodGrid) {
-      this.lodGrid.setLodScale(this.params.lodScale);
+    if (this.surface) {
+      this.surface.setLodScale(this.params.lodScale);
+      this.surface.setPlanetRadius(this.getPlanetRadius());
     }
   }
 
@@ -161,8 +332,23 @@ export class OceanSystem {
     }
 
     switch (paramKey) {
+      case 'seed':
       case 'windSpeed':
       case 'windDirection':
+      case 'fetchKm':
+      case 'spectrumModel':
+      case 'phillipsAmplitude':
+      case 'phillipsCutoff':
+      case 'jonswapGamma':
+      case 'jonswapSigmaA':
+      case 'jonswapSigmaB':
+      case 'waterDepth':
+      case 'elfouhailyGamma':
+      case 'windSeaSpreading':
+      case 'swells':
+        this.#applySpectrumParams();
+        this.#applySurfaceParams();
+        break;
       case 'choppiness':
       case 'foamIntensity':
       case 'lodScale':
@@ -170,13 +356,85 @@ export class OceanSystem {
       case 'reflectionDistortion':
       case 'sunScatterStrength':
       case 'foamScale':
-        this.#applyOceanParams();
+      case 'foamDecay':
+      case 'causticsStrength':
+      case 'planetCurvature':
+      case 'planetRadiusKm':
+        this.#applySurfaceParams();
+        break;
+      case 'surfaceMode':
+        this.#disposeSurface();
+        this.#buildSurface();
         break;
       default:
         break;
     }
   }
 
+  #applyBathymetry() {
+    if (!this.uniforms) {
+      return;
+    }
+
+    if (!this.bathymetry) {
+      this.uniforms.uBathymetryEnabled.value = 0.0;
+      return;
+    }
+
+    const { minX, minZ, sizeX, sizeZ } = this.bathymetry.getBounds();
+    this.uniforms.uBathymetryMap.value = this.bathymetry.texture;
+    this.uniforms.uBathymetryEnabled.value = 1.0;
+    this.uniforms.uBathymetryBounds.value.set(minX - this.originOffset.x, minZ - this.originOffset.z, sizeX, sizeZ);
+    this.uniforms.uBathymetryHeightRange.value.set(this.bathymetry.minHeight, this.bathymetry.maxHeight);
+  }
+
+  // Pass null to return to uniform depth; the texture stays owned by the caller. The centre is in world coordinates and
+  // does not move when the scene origin does.
+  setBathymetry(options) {
+    this.bathymetry = options && options.texture ? new OceanBathymetry(options) : null;
+    this.#applyBathymetry();
+  }
+
+  getWaterDepthAt(x, z) {
+    if (!this.bathymetry) {
+      return this.params.waterDepth;
+    }
+
+    return this.bathymetry.getDepthAt(x + this.originOffset.x, z + this.originOffset.z, this.params.waterDepth);
+  }
+
+  #applyOriginOffset() {
+    if (!this.uniforms) {
+      return;
+    }
+
+    // Reduced per cascade on the CPU in double precision; the shaders only ever see scene coordinates near the camera.
+    this.uniforms.uCascadeOffsets.value.forEach((offset, index) => {
+      const size = this.fft.cascadeSizes[index];
+      offset.set(MathUtils.euclideanModulo(this.originOffset.x, size) / size, MathUtils.euclideanModulo(this.originOffset.z, size) / size);
+    });
+
+    this.surfaceQuery.setSurfaceState({ originOffset: this.originOffset });
+    this.surface.setOriginOffset(this.originOffset.x, this.originOffset.z);
+  }
+
+  // Called after a floating origin moved the camera and the scene by -shift (xz). Waves, foam, ripples and wakes stay
+  // where they were in the world, so the rebase does not show.
+  shiftOrigin(shift) {
+    this.originOffset.x += shift.x;
+    this.originOffset.z += shift.z;
+
+    this.ripples.shiftOrigin(shift.x, shift.z);
+    this.wakes.shiftOrigin(shift.x, shift.z);
+    this.rippleSources.forEach((source) => {
+      source.previous.x -= shift.x;
+      source.previous.z -= shift.z;
+    });
+
+    this.#applyOriginOffset();
+    this.#applyBathymetry();
+  }
+
   setQualityPreset(presetName) {
     if (presetName === this.qualityPreset) {
       return;
@@ -186,28 +444,219 @@ export class OceanSystem {
   }
 
   update(deltaTime, elapsedTime, lightingState) {
-    if (!this.fft || !this.uniforms || !this.lodGrid) {
+    if (!this.fft || !this.uniforms || !this.surface) {
       return;
     }
 
-    this.fft.update(deltaTime);
+    this.fft.setTime(elapsedTime);
 
     this.uniforms.uTime.value = elapsedTime;
-    this.uniforms.uDisplacementMap.value = this.fft.getDisplacementMap();
-    this.uniforms.uNormalMap.value = this.fft.getNormalMap();
+    this.uniforms.uDisplacementMaps.value = this.fft.getDisplacementMaps();
+    this.uniforms.uNormalMaps.value = this.fft.getNormalMaps();
+
+    this.readbackCascades.forEach(({ source }, cascadeIndex) => {
+      source.update(this.fft.getDisplacementRenderTarget(cascadeIndex), elapsedTime);
+    });
+
+    if (this.surfaceQuery.cascades !== this.readbackCascades && this.readbackCascades.every(({ source }) => source.ready)) {
+      this.surfaceQuery.setCascades(this.readbackCascades);
+      this.#disposeRetiredReadbacks();
+    }
+
+    this.surfaceQuery.setSurfaceState({
+      displacementScale: this.uniforms.uDisplacementScale.value,
+      viewerPosition: this.camera.position,
+    });
+
+    if (this.surfaceQuery.isReady()) {
+      this.buoyancy.update(deltaTime);
+    }
+
+    this.#updateRippleSources(deltaTime);
+    this.ripples.update(deltaTime, this.camera.position);
+
+    const rippleBounds = this.ripples.getBounds();
+    this.uniforms.uRippleMap.value = this.ripples.getTexture();
+    this.uniforms.uRippleBounds.value.set(rippleBounds.minX, rippleBounds.minZ, rippleBounds.size);
+
+    this.wakes.update(deltaTime, this.camera.position);
+
+    const wakeBounds = this.wakes.getBounds();
+    this.uniforms.uWakeMap.value = this.wakes.getTexture();
+    this.uniforms.uWakeBounds.value.set(wakeBounds.minX, wakeBounds.minZ, wakeBounds.size);
 
     if (lightingState) {
       this.uniforms.uSunDirection.value.copy(lightingState.sunDirection);
       this.uniforms.uSunColor.value.copy(lightingState.sunColor);
+      this.uniforms.uMoonDirection.value.copy(lightingState.moonDirection);
+      this.uniforms.uMoonColor.value.copy(lightingState.moonColor);
       this.uniforms.uSkyZenithColor.value.copy(lightingState.skyZenithColor);
       this.uniforms.uSkyHorizonColor.value.copy(lightingState.skyHorizonColor);
     }
 
-    this.lodGrid.update(this.camera.position);
+    this.#updateUnderwater();
+    this.uniforms.uHorizonDip.value = getHorizonDip(this.camera.position.y - this.root.position.y, this.getPlanetRadius());
+
+    // The finest cascade carries the short waves that focus light within a few metres of the surface.
+    const causticsCascade = this.fft.getCascadeCount() - 1;
+    this.caustics.update({
+      normalMap: this.fft.getNormalMap(causticsCascade),
+      cascadeSize: this.fft.cascadeSizes[causticsCascade],
+      sunDirection: this.uniforms.uSunDirection.value,
+      sunColor: this.uniforms.uSunColor.value,
+      sunIntensity: lightingState ? lightingState.sunIntensity : 1.0,
+      originOffset: this.originOffset,
+    });
+
+    this.#updateDisplacementBound();
+    // Controls may have moved the camera since it was last rendered.
+    this.camera.updateMatrixWorld();
+    this.surface.update(this.camera);
+  }
+
+  #updateDisplacementBound() {
+    const cascades = this.surfaceQuery.cascades;
+
+    if (!this.surfaceQuery.isReady()) {
+      this.surface.setDisplacementBound(FALLBACK_DISPLACEMENT_BOUND, FALLBACK_DISPLACEMENT_BOUND);
+      return;
+    }
+
+    const scale = this.uniforms.uDisplacementScale.value * DISPLACEMENT_BOUND_MARGIN;
+    const response = { vertical: MAX_SHOALING, horizontal: MAX_SHALLOW_CHOP };
+    let horizontal = LOCAL_FIELD_BOUND;
+    let vertical = LOCAL_FIELD_BOUND;
+
+    cascades.forEach(({ source, size }) => {
+      // A seabed can shoal any cascade up to the material's limits; uniform depth gives the exact response.
+      if (!this.bathymetry) {
+        getShallowWaterResponse(getCascadeWavenumber(size), this.params.waterDepth, response);
+      }
+
+      horizontal += source.maxHorizontal * response.horizontal * scale;
+      vertical += source.maxVertical * response.vertical * scale;
+    });
+
+    this.surface.setDisplacementBound(horizontal, vertical);
+  }
+
+  getSurfaceStats() {
+    return this.surface ? this.surface.getStats() : null;
+  }
+
+  #updateUnderwater() {
+    const { x, y, z } = this.camera.position;
+    this.cameraWaterHeight = this.surfaceQuery.isReady() ? this.surfaceQuery.getHeightAt(x, z) : 0.0;
+
+    // In-scattered light fades as the sun sets, down to what the moon provides, and is filtered by the water above the
+    // camera.
+    const moonlight = Math.min(this.uniforms.uMoonColor.value.b * 0.5, 0.08);
+    const daylight = MathUtils.clamp(this.uniforms.uSunDirection.value.y * 1.6 + 0.15, 0.01 + moonlight, 1.0);
+    const filterDepth = Math.max(this.cameraWaterHeight - y, 0.0) * 0.5;
+    const absorption = this.uniforms.uUnderwaterAbsorption.value;
+
+    this.uniforms.uUnderwaterColor.value.setRGB(
+      UNDERWATER_SCATTER_COLOR.r * daylight * Math.exp(-absorption.x * filterDepth),
+      UNDERWATER_SCATTER_COLOR.g * daylight * Math.exp(-absorption.y * filterDepth),
+      UNDERWATER_SCATTER_COLOR.b * daylight * Math.exp(-absorption.z * filterDepth)
+    );
+    this.uniforms.uCameraWaterHeight.value = this.cameraWaterHeight;
+    this.underwater.update(this.camera, this.cameraWaterHeight);
+  }
+
+  isCameraUnderwater() {
+    return this.camera.position.y < this.cameraWaterHeight;
+  }
+
+  // Colour of the water volume as the ocean shaders write it (display values, not linear).
+  getUnderwaterColor() {
+    return this.uniforms ? this.uniforms.uUnderwaterColor.value : UNDERWATER_SCATTER_COLOR;
+  }
+
+  getDisplacementAt(x, z, target = new Vector3()) {
+    return this.surfaceQuery.getDisplacementAt(x, z, target);
+  }
+
+  getHeightAt(x, z) {
+    return this.surfaceQuery.getHeightAt(x, z);
+  }
+
+  isSurfaceReady() {
+    return this.surfaceQuery.isReady();
+  }
+
+  // Objects moving through the surface push water aside, so splashes scale with speed near the waterline.
+  #updateRippleSources(deltaTime) {
+    if (deltaTime <= 0.0) {
+      return;
+    }
+
+    const surfaceReady = this.surfaceQuery.isReady();
+
+    this.rippleSources.forEach((source, object) => {
+      const position = object.getWorldPosition(this.rippleSourcePosition);
+
+      if (source.hasPrevious) {
+        const speed = position.distanceTo(source.previous) / deltaTime;
+        const waterHeight = surfaceReady ? this.surfaceQuery.getHeightAt(position.x, position.z) : 0.0;
+        const contact = 1.0 - MathUtils.smoothstep(Math.abs(position.y - waterHeight), source.radius * 0.5, source.radius * 1.5);
+
+        if (contact > 0.0 && speed > 0.01) {
+          this.ripples.addDisturbance(position.x, position.z, source.radius, -speed * contact * source.strength);
+        }
+      }
+
+      source.previous.copy(position);
+      source.hasPrevious = true;
+    });
+  }
+
+  addRippleSource(object, { radius = 1.0, strength = 1.0 } = {}) {
+    this.rippleSources.set(object, { radius: Math.max(0.05, radius), strength, previous: new Vector3(), hasPrevious: false });
+  }
+
+  removeRippleSource(object) {
+    this.rippleSources.delete(object);
+  }
+
+  // The returned emitter is live: update its position, heading (radians in xz), speed and hullLength as the hull moves.
+  addWakeEmitter(options) {
+    return this.wakes.addEmitter(options);
+  }
+
+  removeWakeEmitter(emitter) {
+    this.wakes.removeEmitter(emitter);
+  }
+
+  // Patches a MeshStandardMaterial so geometry below the surface receives caustics; returns the same material.
+  applyCaustics(material) {
+    return this.caustics.applyToMaterial(material);
+  }
+
+  getCausticsTexture() {
+    return this.caustics.getTexture();
+  }
+
+  addFloatingObject(object, options) {
+    return this.buoyancy.register(object, options);
+  }
+
+  removeFloatingObject(object) {
+    this.buoyancy.unregister(object);
   }
 
   dispose() {
     this.#teardown();
+    this.#disposeRetiredReadbacks();
+    this.buoyancy.clear();
+    this.rippleSources.clear();
+    this.ripples.dispose();
+    this.wakes.dispose();
+    this.caustics.dispose();
+
+    disposeReadbackCascades(this.readbackCascades);
+    this.readbackCascades = [];
+    this.surfaceQuery.setCascades([]);
 
     if (this.root.parent) {
       this.root.parent.remove(this.root);
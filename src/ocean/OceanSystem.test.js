@@ -1,5 +1,17 @@
+import { PerspectiveCamera, Scene, Texture } from 'three';
 import { describe, expect, it } from 'vitest';
-import { QUALITY_PRESETS } from './OceanSystem';
+import { computeSlopeVariance, OceanSystem, QUALITY_PRESETS } from './OceanSystem';
+
+// Nothing here renders, so the renderer is never touched.
+const createOcean = () => new OceanSystem({ renderer: {}, scene: new Scene(), camera: new PerspectiveCamera(), qualityPreset: 'performance' });
+
+describe('computeSlopeVariance', () => {
+  it('follows the Cox-Munk clean-surface fit', () => {
+    // sigma^2 = 0.003 + 5.12e-3 U: about 0.054 at 10 m/s.
+    expect(computeSlopeVariance(10.0)).toBeCloseTo(0.0542, 4);
+    expect(computeSlopeVariance(20.0)).toBeGreaterThan(computeSlopeVariance(5.0));
+  });
+});
 
 describe('QUALITY_PRESETS', () => {
   it('uses power-of-two FFT resolutions', () => {
@@ -16,4 +28,51 @@ describe('QUALITY_PRESETS', () => {
       }
     });
   });
+
+  it('uses two to four strictly shrinking FFT cascades', () => {
+    Object.values(QUALITY_PRESETS).forEach((preset) => {
+      expect(preset.cascadeSizes.length).toBeGreaterThanOrEqual(2);
+      expect(preset.cascadeSizes.length).toBeLessThanOrEqual(4);
+
+      for (let i = 1; i < preset.cascadeSizes.length; i += 1) {
+        expect(preset.cascadeSizes[i]).toBeLessThan(preset.cascadeSizes[i - 1]);
+      }
+    });
+  });
+});
+
+describe('OceanSystem.setParam', () => {
+  it('leaves the spectrum alone for material-only params', () => {
+    const ocean = createOcean();
+    ocean.fft.needsSpectrumInit = false;
+
+    ocean.setParam('reflectionStrength', 0.35);
+    ocean.setParam('foamScale', 0.2);
+    ocean.setParam('lodScale', 1.4);
+
+    expect(ocean.uniforms.uReflectionStrength.value).toBe(0.35);
+    expect(ocean.fft.needsSpectrumInit).toBe(false);
+
+    ocean.setParam('windSpeed', 14.0);
+
+    expect(ocean.fft.needsSpectrumInit).toBe(true);
+    ocean.dispose();
+  });
+});
+
+describe('OceanSystem.setEnvironment', () => {
+  it('keeps the sky environment across a quality rebuild', () => {
+    const ocean = createOcean();
+    const environment = new Texture();
+
+    ocean.setEnvironment(environment);
+    ocean.rebuild('balanced');
+
+    expect(ocean.uniforms.uEnvironmentMap.value).toBe(environment);
+    expect(ocean.uniforms.uUseEnvironment.value).toBe(1.0);
+
+    ocean.setEnvironment(null);
+    expect(ocean.uniforms.uUseEnvironment.value).toBe(0.0);
+    ocean.dispose();
+  });
 });
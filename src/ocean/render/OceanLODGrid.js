@@ -1,147 +1,481 @@
-import { Group, Mesh, PlaneGeometry } from 'three';
+import {
+  Box3,
+  BufferGeometry,
+  DynamicDrawUsage,
+  Float32BufferAttribute,
+  Frustum,
+  Group,
+  InstancedBufferAttribute,
+  InstancedMesh,
+  Matrix4,
+  Mesh,
+  PlaneGeometry,
+  ShaderMaterial,
+  Vector2,
+} from 'three';
+import { getCurvatureDrop, getHorizonDistance } from './OceanMaterial';
 
-const clampSegments = (value, minimum = 2, maximum = 512) => Math.min(maximum, Math.max(minimum, Math.round(value)));
+// Every patch is one shared tile of this many cells per side, instanced at each level's cell size.
+export const TILE_CELLS = 16;
+// Rings never get thinner than this many of their own cells, which keeps the morph band clear of both edges.
+const MIN_RING_CELLS = 64;
+// Share of a ring's width over which its vertices morph towards the next level.
+const MORPH_BAND = 0.4;
 
-const createPatch = ({ width, height, segX, segY, offsetX, offsetZ, levelIndex, material }) => {
-  const geometry = new PlaneGeometry(width, height, clampSegments(segX), clampSegments(segY));
-  geometry.rotateX(-Math.PI / 2);
+// Each skirt row lies this much further out than the previous one.
+const SKIRT_GROWTH = 1.4;
+// Skirt radius in far distances, before the LOD scale; at the smallest scale (0.5) it still reaches the far plane.
+const SKIRT_REACH = 2.0;
+
+// Preset cell sizes suit a camera this high above the water with a 55° vertical field of view. Each detail level
+// doubles (or halves) every cell, which keeps all level lattices nested; a new level is only taken once the ideal
+// one is this far past the halfway point, so hovering around a switch height does not flicker.
+const REFERENCE_HEIGHT = 12.0;
+const REFERENCE_FOV = 55.0;
+const DETAIL_HYSTERESIS = 0.25;
+const MIN_DETAIL_LEVEL = -3;
+const MAX_DETAIL_LEVEL = 10;
+
+const alignUp = (value, step) => Math.ceil(value / step) * step;
+const halfAngleTangent = (fovDegrees) => Math.tan(((fovDegrees * Math.PI) / 180.0) * 0.5);
+
+// Cells are scaled by 2^level so one cell covers about the same part of the screen at any height or zoom.
+export const selectDetailLevel = (cameraHeight, fovDegrees, previousLevel = 0) => {
+  const ideal = Math.log2(
+    (Math.max(Math.abs(cameraHeight), 0.5) / REFERENCE_HEIGHT) * (halfAngleTangent(fovDegrees) / halfAngleTangent(REFERENCE_FOV))
+  );
+
+  if (Math.abs(ideal - previousLevel) < 0.5 + DETAIL_HYSTERESIS) {
+    return previousLevel;
+  }
+
+  return Math.min(MAX_DETAIL_LEVEL, Math.max(MIN_DETAIL_LEVEL, Math.round(ideal)));
+};
+
+// Level sizes for a detail level: finer levels gain extra rings so the grid reaches at least as far as the preset,
+// and coarser ones drop rings that would start beyond the far plane.
+export const getDetailLevelSizes = (levels, detailLevel, farDistance = Infinity) => {
+  const scale = 2 ** detailLevel;
+  const sizes = levels.map((size) => size * scale);
+
+  for (let i = detailLevel; i < 0; i += 1) {
+    sizes.push(sizes[sizes.length - 1] * 2.0);
+  }
+
+  while (sizes.length > 2 && sizes[sizes.length - 2] * 0.5 > farDistance) {
+    sizes.pop();
+  }
+
+  return sizes;
+};
+
+// Every level is a square of whole tiles centred on a point snapped to twice its cell size, so its vertices sit on a
+// fixed world lattice and its even vertices on the next level's lattice. The finer level is a square of holeCells of
+// this level's cells around a centre that is 0 or 1 cell off this one; a trim (createTrimGeometry) fills the rest of
+// the tile hole, so neighbouring levels share their edge instead of overlapping. Distances are Chebyshev distances from
+// the camera, in unscaled units; the camera is always within two cells of its level's centre.
+export const computeLODLayout = (levels, baseCellSize) => {
+  const layout = [];
+
+  levels.forEach((size, index) => {
+    const cellSize = baseCellSize * 2 ** index;
+    const finer = layout[index - 1];
+    const holeCells = finer ? finer.outerCells / 2 : 0;
+    const innerCells = finer ? alignUp(holeCells + 1, TILE_CELLS) : 0;
+    const outerCells = alignUp(Math.max(size / (2.0 * cellSize), innerCells + MIN_RING_CELLS), TILE_CELLS);
+
+    layout.push({ cellSize, holeCells, innerCells, outerCells, morphStart: 0.0, morphEnd: 0.0 });
+  });
+
+  layout.forEach((level, index) => {
+    if (!layout[index + 1]) {
+      return;
+    }
+
+    // Fully morphed along the whole outer edge, which then matches the coarser trim vertex for vertex, and unmorphed
+    // up to the tile hole, where this level's own trim meets it.
+    const morphEndCells = level.outerCells - 2;
+    const morphStartCells = Math.max(level.innerCells + 2, morphEndCells - (level.outerCells - level.innerCells) * MORPH_BAND);
+
+    level.morphStart = morphStartCells * level.cellSize;
+    level.morphEnd = morphEndCells * level.cellSize;
+  });
+
+  return layout;
+};
+
+// Flat far field from the coarsest level's edge out to outerDistance, as nested squares around the level centre. Its
+// first row repeats that edge vertex for vertex and keeps the full displacement (skirtBlend 1), so the two meet
+// without a crack; further rows are flat and only shaded.
+export const createSkirtGeometry = (innerCells, cellSize, outerDistance) => {
+  const sideSegments = innerCells * 2;
+  const loop = [];
+
+  // Counter-clockwise seen from above, starting at the (-x, -z) corner.
+  for (let i = 0; i < sideSegments; i += 1) loop.push([-1.0, -1.0 + (2.0 * i) / sideSegments]);
+  for (let i = 0; i < sideSegments; i += 1) loop.push([-1.0 + (2.0 * i) / sideSegments, 1.0]);
+  for (let i = 0; i < sideSegments; i += 1) loop.push([1.0, 1.0 - (2.0 * i) / sideSegments]);
+  for (let i = 0; i < sideSegments; i += 1) loop.push([1.0 - (2.0 * i) / sideSegments, -1.0]);
+
+  const radii = [innerCells * cellSize];
+
+  while (radii[radii.length - 1] < outerDistance) {
+    radii.push(Math.min(radii[radii.length - 1] * SKIRT_GROWTH, outerDistance));
+  }
+
+  const positions = [];
+  const skirtBlend = [];
+  const indices = [];
 
-  const mesh = new Mesh(geometry, material);
-  // Slightly sink coarser rings so overlap zones cannot z-fight with inner rings.
-  mesh.position.set(offsetX, -levelIndex * 0.0045, offsetZ);
-  mesh.frustumCulled = false;
-  mesh.renderOrder = 1000 - levelIndex;
+  radii.forEach((radius, row) => {
+    loop.forEach(([x, z]) => {
+      positions.push(x * radius, 0.0, z * radius);
+      skirtBlend.push(row === 0 ? 1.0 : 0.0);
+    });
+  });
+
+  for (let row = 0; row < radii.length - 1; row += 1) {
+    for (let i = 0; i < loop.length; i += 1) {
+      const inner = row * loop.length + i;
+      const innerNext = row * loop.length + ((i + 1) % loop.length);
+      const outer = inner + loop.length;
+      const outerNext = innerNext + loop.length;
+
+      indices.push(inner, outer, innerNext, innerNext, outer, outerNext);
+    }
+  }
+
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('skirtBlend', new Float32BufferAttribute(skirtBlend, 1));
+  geometry.setIndex(indices);
+
+  return geometry;
+};
+
+// Cells of a level between its tile hole (innerCells either side of its centre) and the finer level's square (holeCells
+// either side of a centre offsetX and offsetZ cells away), in cells. The trim is never morphed: the whole of it lies
+// inside the level's morph start.
+export const createTrimGeometry = (innerCells, holeCells, offsetX, offsetZ) => {
+  const side = innerCells * 2 + 1;
+  const vertexIndices = new Map();
+  const positions = [];
+  const indices = [];
+  const inHole = (x, z) => x >= offsetX - holeCells && x < offsetX + holeCells && z >= offsetZ - holeCells && z < offsetZ + holeCells;
+
+  const getVertex = (x, z) => {
+    const key = (z + innerCells) * side + x + innerCells;
+
+    if (!vertexIndices.has(key)) {
+      vertexIndices.set(key, positions.length / 3);
+      positions.push(x, 0.0, z);
+    }
+
+    return vertexIndices.get(key);
+  };
+
+  for (let z = -innerCells; z < innerCells; z += 1) {
+    for (let x = -innerCells; x < innerCells; x += 1) {
+      if (!inHole(x, z)) {
+        const a = getVertex(x, z);
+        const b = getVertex(x, z + 1);
+        const c = getVertex(x + 1, z);
+        const d = getVertex(x + 1, z + 1);
+
+        // Counter-clockwise seen from above, like the tiles.
+        indices.push(a, b, c, c, b, d);
+      }
+    }
+  }
+
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+  // Zero cell size: no morph.
+  geometry.setAttribute('lodMorph', new Float32BufferAttribute(new Float32Array(positions.length), 3));
+  geometry.setIndex(indices);
+
+  return geometry;
+};
+
+const createTileGeometry = () => {
+  const geometry = new PlaneGeometry(TILE_CELLS, TILE_CELLS, TILE_CELLS, TILE_CELLS);
+  geometry.rotateX(-Math.PI / 2);
+  geometry.translate(TILE_CELLS * 0.5, 0.0, TILE_CELLS * 0.5);
 
-  return mesh;
+  return geometry;
 };
 
 export class OceanLODGrid {
-  constructor({ material, levels, baseCellSize = 1.0, ringOverlap = 0.5 }) {
+  constructor({ material, levels, baseCellSize = 1.0 }) {
     this.group = new Group();
     this.group.name = 'OceanLODGrid';
 
+    if (!Array.isArray(levels) || levels.length < 2) {
+      throw new Error('Ocean LOD requires at least 2 level sizes.');
+    }
+
     this.material = material;
     this.levels = levels;
     this.baseCellSize = baseCellSize;
-    this.ringOverlap = ringOverlap;
-    this.snapSize = baseCellSize;
+    // User bias on top of the altitude-driven detail level.
+    this.lodScale = 1.0;
+    this.detailLevel = 0;
+    this.farDistance = Infinity;
+    this.displacementBound = { horizontal: 0.0, vertical: 0.0 };
+    // World position of the scene origin; levels snap in world space so a floating-origin rebase does not move them.
+    this.originOffset = new Vector2();
+    // Zero while the sea is flat; otherwise tiles are padded by how far the surface curves away and culled past the horizon.
+    this.planetRadius = 0.0;
+
+    this.layout = [];
+    this.levelOrigins = [];
+    this.tiles = [];
+    this.trims = [];
+    this.mesh = null;
+    this.stats = { patchesDrawn: 0, patchCount: 0, triangles: 0, detailLevel: 0 };
+
+    this.frustum = new Frustum();
+    this.viewProjection = new Matrix4();
+    this.tileMatrix = new Matrix4();
+    this.tileBounds = new Box3();
+
+    // Same shader and uniforms as the rings, switched to the undisplaced far-field path. Built rather than cloned: a
+    // clone deep-copies the uniforms, and render-target textures cannot be copied.
+    this.skirtMaterial = new ShaderMaterial({
+      uniforms: material.uniforms,
+      defines: { ...material.defines, OCEAN_SKIRT: '' },
+      vertexShader: material.vertexShader,
+      fragmentShader: material.fragmentShader,
+      side: material.side,
+      transparent: material.transparent,
+      depthWrite: material.depthWrite,
+      depthTest: material.depthTest,
+    });
+    this.skirtMaterial.name = `${material.name}Skirt`;
+    this.skirt = null;
 
-    this.meshes = [];
     this.#build();
   }
 
-  #addMesh(mesh) {
-    this.meshes.push(mesh);
-    this.group.add(mesh);
+  #build() {
+    const levelSizes = getDetailLevelSizes(this.levels, this.detailLevel, this.farDistance);
+    this.layout = computeLODLayout(levelSizes, this.baseCellSize * 2 ** this.detailLevel);
+    this.levelOrigins = [];
+    this.tiles = [];
+
+    // Finest level first, so nearer water fills the depth buffer before the rings behind it.
+    this.layout.forEach(({ innerCells, outerCells }, levelIndex) => {
+      this.levelOrigins.push(new Vector2());
+
+      for (let minZ = -outerCells; minZ < outerCells; minZ += TILE_CELLS) {
+        for (let minX = -outerCells; minX < outerCells; minX += TILE_CELLS) {
+          const inHole = minX >= -innerCells && minX < innerCells && minZ >= -innerCells && minZ < innerCells;
+
+          if (!inHole) {
+            this.tiles.push({ levelIndex, minX, minZ });
+          }
+        }
+      }
+    });
+
+    const geometry = createTileGeometry();
+    this.lodMorph = new InstancedBufferAttribute(new Float32Array(this.tiles.length * 3), 3);
+    this.lodMorph.setUsage(DynamicDrawUsage);
+    geometry.setAttribute('lodMorph', this.lodMorph);
+
+    this.mesh = new InstancedMesh(geometry, this.material, this.tiles.length);
+    this.mesh.instanceMatrix.setUsage(DynamicDrawUsage);
+    this.mesh.count = 0;
+    // Tiles are culled individually in update().
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = 1000;
+    this.group.add(this.mesh);
+
+    // One trim per level around the finer one, with a geometry for each of the four ways the two centres can snap.
+    this.trims = this.layout.slice(1).map(({ innerCells, holeCells }) => {
+      const variants = [0, 1].flatMap((offsetZ) => [0, 1].map((offsetX) => createTrimGeometry(innerCells, holeCells, offsetX, offsetZ)));
+      const mesh = new Mesh(variants[0], this.material);
+      mesh.frustumCulled = false;
+      mesh.renderOrder = 1000;
+      this.group.add(mesh);
+
+      return { mesh, variants };
+    });
+
+    const coarsest = this.layout[this.layout.length - 1];
+    const skirtReach = Number.isFinite(this.farDistance) ? this.farDistance * SKIRT_REACH : coarsest.outerCells * coarsest.cellSize * 8.0;
+    this.skirt = new Mesh(createSkirtGeometry(coarsest.outerCells, coarsest.cellSize, skirtReach), this.skirtMaterial);
+    this.skirt.frustumCulled = false;
+    this.skirt.renderOrder = 1001;
+    this.group.add(this.skirt);
+
+    this.trianglesPerTile = geometry.index.count / 3;
+    this.skirtTriangles = this.skirt.geometry.index.count / 3;
+    this.stats.patchCount = this.tiles.length + this.trims.length + 1;
+    this.stats.detailLevel = this.detailLevel;
   }
 
-  #build() {
-    if (!Array.isArray(this.levels) || this.levels.length < 2) {
-      throw new Error('Ocean LOD requires at least 2 level sizes.');
-    }
+  #disposeMesh() {
+    this.mesh.geometry.dispose();
+    this.mesh.dispose();
+    this.group.remove(this.mesh);
+    this.mesh = null;
 
-    const centerSize = this.levels[0];
-    const centerSegments = centerSize / this.baseCellSize;
-
-    this.#addMesh(
-      createPatch({
-        width: centerSize,
-        height: centerSize,
-        segX: centerSegments,
-        segY: centerSegments,
-        offsetX: 0,
-        offsetZ: 0,
-        levelIndex: 0,
-        material: this.material,
-      })
-    );
-
-    for (let i = 1; i < this.levels.length; i += 1) {
-      const inner = this.levels[i - 1];
-      const outer = this.levels[i];
-      const ringWidth = (outer - inner) * 0.5;
-      const cellSize = this.baseCellSize * 2 ** i;
-      const overlap = Math.min(ringWidth * 0.25, this.ringOverlap * cellSize);
-
-      const longSegments = outer / cellSize;
-      const shortSegments = (ringWidth + overlap * 2.0) / cellSize;
-      const innerSegments = inner / cellSize;
-
-      const stripHeight = ringWidth + overlap * 2.0;
-      const stripWidth = outer + overlap * 2.0;
-      const innerStrip = inner + overlap * 2.0;
-      const distanceFromCenter = inner * 0.5 + ringWidth * 0.5;
-
-      this.#addMesh(
-        createPatch({
-          width: stripWidth,
-          height: stripHeight,
-          segX: longSegments,
-          segY: shortSegments,
-          offsetX: 0,
-          offsetZ: -distanceFromCenter,
-          levelIndex: i,
-          material: this.material,
-        })
-      );
+    this.trims.forEach(({ mesh, variants }) => {
+      variants.forEach((geometry) => geometry.dispose());
+      this.group.remove(mesh);
+    });
+    this.trims = [];
 
-      this.#addMesh(
-        createPatch({
-          width: stripWidth,
-          height: stripHeight,
-          segX: longSegments,
-          segY: shortSegments,
-          offsetX: 0,
-          offsetZ: distanceFromCenter,
-          levelIndex: i,
-          material: this.material,
-        })
-      );
+    this.skirt.geometry.dispose();
+    this.group.remove(this.skirt);
+    this.skirt = null;
+  }
 
-      this.#addMesh(
-        createPatch({
-          width: stripHeight,
-          height: innerStrip,
-          segX: shortSegments,
-          segY: innerSegments,
-          offsetX: -distanceFromCenter,
-          offsetZ: 0,
-          levelIndex: i,
-          material: this.material,
-        })
-      );
+  #updateDetailLevel(camera) {
+    this.group.updateWorldMatrix(true, false);
+    const cameraHeight = camera.position.y - this.group.matrixWorld.elements[13];
+    const detailLevel = selectDetailLevel(cameraHeight, camera.getEffectiveFOV(), this.detailLevel);
 
-      this.#addMesh(
-        createPatch({
-          width: stripHeight,
-          height: innerStrip,
-          segX: shortSegments,
-          segY: innerSegments,
-          offsetX: distanceFromCenter,
-          offsetZ: 0,
-          levelIndex: i,
-          material: this.material,
-        })
-      );
+    if (detailLevel === this.detailLevel && camera.far === this.farDistance) {
+      return;
     }
+
+    this.detailLevel = detailLevel;
+    this.farDistance = camera.far;
+    this.#disposeMesh();
+    this.#build();
   }
 
-  update(cameraPosition) {
-    this.group.position.x = Math.floor(cameraPosition.x / this.snapSize) * this.snapSize;
-    this.group.position.z = Math.floor(cameraPosition.z / this.snapSize) * this.snapSize;
+  // Largest horizontal and vertical displacement of the surface from its grid position, used to pad tile bounds.
+  setDisplacementBound(horizontal, vertical) {
+    this.displacementBound.horizontal = horizontal;
+    this.displacementBound.vertical = vertical;
   }
 
-  setLodScale(scale) {
-    const clamped = Math.max(0.5, Math.min(2.5, scale));
-    this.group.scale.set(clamped, 1.0, clamped);
+  setPlanetRadius(radius) {
+    this.planetRadius = Math.max(radius, 0.0);
   }
 
-  dispose() {
-    this.meshes.forEach((mesh) => {
-      mesh.geometry.dispose();
-      this.group.remove(mesh);
+  setOriginOffset(x, z) {
+    this.originOffset.set(x, z);
+  }
+
+  update(camera) {
+    this.#updateDetailLevel(camera);
+
+    const cameraPosition = camera.position;
+    const offset = this.originOffset;
+
+    this.layout.forEach(({ cellSize }, levelIndex) => {
+      const snapSize = cellSize * 2.0 * this.lodScale;
+
+      this.levelOrigins[levelIndex].set(
+        Math.floor((cameraPosition.x + offset.x) / snapSize) * snapSize - offset.x,
+        Math.floor((cameraPosition.z + offset.y) / snapSize) * snapSize - offset.y
+      );
+    });
+
+    this.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    this.frustum.setFromProjectionMatrix(this.viewProjection);
+
+    const { horizontal, vertical } = this.displacementBound;
+    const groupMatrix = this.group.matrixWorld.elements;
+    const radius = this.planetRadius;
+    // The planet hides a crest once its own horizon and the camera's no longer meet.
+    const horizonReach =
+      getHorizonDistance(cameraPosition.y - groupMatrix[13], radius) + getHorizonDistance(vertical, radius) + horizontal;
+    let drawn = 0;
+
+    this.tiles.forEach(({ levelIndex, minX, minZ }) => {
+      const level = this.layout[levelIndex];
+      const cellSize = level.cellSize * this.lodScale;
+      const origin = this.levelOrigins[levelIndex];
+      const x = origin.x + minX * cellSize;
+      const z = origin.y + minZ * cellSize;
+      const tileSize = TILE_CELLS * cellSize;
+      let pad = horizontal;
+      let drop = 0.0;
+
+      if (radius > 0.0) {
+        const nearest = Math.hypot(
+          Math.max(x - cameraPosition.x, cameraPosition.x - x - tileSize, 0.0),
+          Math.max(z - cameraPosition.z, cameraPosition.z - z - tileSize, 0.0)
+        );
+
+        if (nearest > horizonReach) {
+          return;
+        }
+
+        const farthest = Math.hypot(
+          Math.max(Math.abs(x - cameraPosition.x), Math.abs(x + tileSize - cameraPosition.x)),
+          Math.max(Math.abs(z - cameraPosition.z), Math.abs(z + tileSize - cameraPosition.z))
+        );
+
+        // Arc length maps to a slightly shorter chord, pulling the far edge towards the camera by about d^3 / 6R^2.
+        drop = getCurvatureDrop(farthest, radius);
+        pad += (drop * farthest) / (3.0 * radius);
+      }
+
+      this.tileBounds.min.set(x - pad + groupMatrix[12], groupMatrix[13] - vertical - drop, z - pad + groupMatrix[14]);
+      this.tileBounds.max.set(x + tileSize + pad + groupMatrix[12], groupMatrix[13] + vertical, z + tileSize + pad + groupMatrix[14]);
+
+      if (!this.frustum.intersectsBox(this.tileBounds)) {
+        return;
+      }
+
+      this.tileMatrix.makeScale(cellSize, 1.0, cellSize).setPosition(x, 0.0, z);
+      this.mesh.setMatrixAt(drawn, this.tileMatrix);
+
+      // The coarsest level has nothing to morph into; a zero cell size switches morphing off.
+      if (levelIndex === this.layout.length - 1) {
+        this.lodMorph.setXYZ(drawn, 0.0, 0.0, 0.0);
+      } else {
+        this.lodMorph.setXYZ(drawn, cellSize, level.morphStart * this.lodScale, level.morphEnd * this.lodScale);
+      }
+
+      drawn += 1;
     });
 
-    this.meshes = [];
+    this.mesh.count = drawn;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.lodMorph.needsUpdate = true;
+
+    let trimTriangles = 0;
+
+    this.trims.forEach(({ mesh, variants }, index) => {
+      const { cellSize } = this.layout[index + 1];
+      const scale = cellSize * this.lodScale;
+      const origin = this.levelOrigins[index + 1];
+      const finerOrigin = this.levelOrigins[index];
+      const offsetX = Math.round((finerOrigin.x - origin.x) / scale) === 1 ? 1 : 0;
+      const offsetZ = Math.round((finerOrigin.y - origin.y) / scale) === 1 ? 1 : 0;
+
+      mesh.geometry = variants[offsetZ * 2 + offsetX];
+      mesh.position.set(origin.x, 0.0, origin.y);
+      mesh.scale.set(scale, 1.0, scale);
+      trimTriangles += mesh.geometry.index.count / 3;
+    });
+
+    const coarsestOrigin = this.levelOrigins[this.levelOrigins.length - 1];
+    this.skirt.position.set(coarsestOrigin.x, 0.0, coarsestOrigin.y);
+    this.skirt.scale.set(this.lodScale, 1.0, this.lodScale);
+
+    this.stats.patchesDrawn = drawn + this.trims.length + 1;
+    this.stats.triangles = drawn * this.trianglesPerTile + trimTriangles + this.skirtTriangles;
+  }
+
+  setLodScale(scale) {
+    this.lodScale = Math.max(0.5, Math.min(2.5, scale));
+  }
+
+  getStats() {
+    return this.stats;
+  }
+
+  dispose() {
+    this.#disposeMesh();
+    this.skirtMaterial.dispose();
+    this.tiles = [];
   }
 }
@@ -0,0 +1,338 @@
+import { MathUtils, PerspectiveCamera, ShaderMaterial, Triangle, Vector3, WebGLRenderTarget } from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import { QUALITY_PRESETS } from '../OceanSystem';
+import {
+  computeLODLayout,
+  createSkirtGeometry,
+  createTrimGeometry,
+  getDetailLevelSizes,
+  OceanLODGrid,
+  selectDetailLevel,
+  TILE_CELLS,
+} from './OceanLODGrid';
+import { getCurvatureDrop, getHorizonDip, getHorizonDistance } from './OceanMaterial';
+
+const createMaterial = (uniforms = {}) =>
+  new ShaderMaterial({ uniforms, vertexShader: 'void main() {}', fragmentShader: 'void main() {}' });
+
+const createCamera = (x, y, z, lookX, lookZ) => {
+  const camera = new PerspectiveCamera(55, 16 / 9, 0.1, 180000);
+  camera.position.set(x, y, z);
+  camera.lookAt(lookX, 0.0, lookZ);
+  camera.updateMatrixWorld();
+
+  return camera;
+};
+
+describe('computeLODLayout', () => {
+  it('builds every level from whole tiles', () => {
+    Object.values(QUALITY_PRESETS).forEach(({ levelSizes, baseCellSize }) => {
+      computeLODLayout(levelSizes, baseCellSize).forEach((level, index) => {
+        expect(level.cellSize).toBeCloseTo(baseCellSize * 2 ** index);
+        expect(level.outerCells % TILE_CELLS).toBe(0);
+        expect(level.innerCells % TILE_CELLS).toBe(0);
+        expect(level.outerCells * level.cellSize * 2.0).toBeGreaterThanOrEqual(levelSizes[index] - 1e-6);
+      });
+    });
+  });
+
+  it('leaves room in each hole for the finer level at either snap', () => {
+    Object.values(QUALITY_PRESETS).forEach(({ levelSizes, baseCellSize }) => {
+      const layout = computeLODLayout(levelSizes, baseCellSize);
+
+      for (let i = 1; i < layout.length; i += 1) {
+        const finer = layout[i - 1];
+        const level = layout[i];
+
+        expect(level.holeCells * level.cellSize).toBeCloseTo(finer.outerCells * finer.cellSize);
+        // The finer centre sits 0 or 1 of this level's cells off this one.
+        expect(level.innerCells).toBeGreaterThanOrEqual(level.holeCells + 1);
+        expect(level.outerCells).toBeGreaterThan(level.innerCells);
+      }
+    });
+  });
+
+  it('morphs fully by the outer edge and not at all inside the tile hole', () => {
+    Object.values(QUALITY_PRESETS).forEach(({ levelSizes, baseCellSize }) => {
+      const layout = computeLODLayout(levelSizes, baseCellSize);
+
+      for (let i = 0; i < layout.length - 1; i += 1) {
+        const level = layout[i];
+
+        // The camera is within two cells of the level's centre.
+        expect(level.morphEnd).toBeLessThanOrEqual((level.outerCells - 2) * level.cellSize + 1e-6);
+        expect(level.morphStart).toBeGreaterThanOrEqual((level.innerCells + 2) * level.cellSize - 1e-6);
+        expect(level.morphEnd).toBeGreaterThan(level.morphStart);
+      }
+    });
+  });
+});
+
+describe('createTrimGeometry', () => {
+  it('covers the tile hole around the finer square exactly once', () => {
+    [0, 1].forEach((offsetX) => {
+      [0, 1].forEach((offsetZ) => {
+        const geometry = createTrimGeometry(48, 40, offsetX, offsetZ);
+        const position = geometry.getAttribute('position');
+        const index = geometry.index;
+        const a = new Vector3();
+        const b = new Vector3();
+        const c = new Vector3();
+        let area = 0.0;
+
+        for (let i = 0; i < index.count; i += 3) {
+          a.fromBufferAttribute(position, index.getX(i));
+          b.fromBufferAttribute(position, index.getX(i + 1));
+          c.fromBufferAttribute(position, index.getX(i + 2));
+          const triangle = new Triangle(a, b, c);
+          area += triangle.getArea();
+
+          // Facing up, and never inside the finer level.
+          expect(triangle.getNormal(new Vector3()).y).toBeCloseTo(1.0);
+          const centre = triangle.getMidpoint(new Vector3());
+          expect(Math.abs(centre.x - offsetX) < 40 && Math.abs(centre.z - offsetZ) < 40).toBe(false);
+        }
+
+        expect(area).toBeCloseTo(96 * 96 - 80 * 80);
+      });
+    });
+  });
+});
+
+describe('selectDetailLevel', () => {
+  it('coarsens with height and zoomed-out views and refines near the water', () => {
+    expect(selectDetailLevel(12.0, 55.0)).toBe(0);
+    expect(selectDetailLevel(2000.0, 55.0)).toBe(7);
+    expect(selectDetailLevel(1.0, 55.0)).toBe(-3);
+    expect(selectDetailLevel(12.0, 20.0)).toBeLessThan(0);
+  });
+
+  it('holds the current level until the camera is well past a switch height', () => {
+    // The ideal level crosses 1.5 at 12 * 2^1.5 ≈ 34 m.
+    expect(selectDetailLevel(36.0, 55.0, 1)).toBe(1);
+    expect(selectDetailLevel(36.0, 55.0, 2)).toBe(2);
+    expect(selectDetailLevel(44.0, 55.0, 1)).toBe(2);
+    expect(selectDetailLevel(26.0, 55.0, 2)).toBe(1);
+  });
+});
+
+describe('getDetailLevelSizes', () => {
+  it('keeps the preset reach when refining and stops at the far plane when coarsening', () => {
+    const levels = [256, 512, 1024, 2048];
+
+    expect(getDetailLevelSizes(levels, 0)).toEqual(levels);
+    expect(getDetailLevelSizes(levels, -2)).toEqual([64, 128, 256, 512, 1024, 2048]);
+    expect(getDetailLevelSizes(levels, 3, 5000)).toEqual([2048, 4096, 8192, 16384]);
+    expect(getDetailLevelSizes(levels, 3, 3000)).toEqual([2048, 4096, 8192]);
+  });
+});
+
+describe('createSkirtGeometry', () => {
+  it('starts on the coarsest ring edge, faces up and reaches the far distance', () => {
+    const geometry = createSkirtGeometry(32, 10.0, 50000.0);
+    const position = geometry.attributes.position;
+    const skirtBlend = geometry.attributes.skirtBlend;
+    const edgeVertices = 32 * 2 * 4;
+
+    for (let i = 0; i < edgeVertices; i += 1) {
+      const x = position.getX(i) / 10.0;
+      const z = position.getZ(i) / 10.0;
+
+      expect(Math.max(Math.abs(x), Math.abs(z))).toBeCloseTo(32.0);
+      expect(Math.abs(x - Math.round(x)) + Math.abs(z - Math.round(z))).toBeLessThan(1e-6);
+      expect(skirtBlend.getX(i)).toBe(1.0);
+    }
+
+    expect(skirtBlend.getX(edgeVertices)).toBe(0.0);
+    const last = position.count - 1;
+    expect(Math.max(Math.abs(position.getX(last)), Math.abs(position.getZ(last)))).toBeCloseTo(50000.0);
+
+    const index = geometry.index;
+    const normal = new Vector3();
+
+    for (let i = 0; i < index.count; i += 3) {
+      const triangle = new Triangle(
+        new Vector3().fromBufferAttribute(position, index.getX(i)),
+        new Vector3().fromBufferAttribute(position, index.getX(i + 1)),
+        new Vector3().fromBufferAttribute(position, index.getX(i + 2))
+      );
+
+      expect(triangle.getNormal(normal).y).toBeCloseTo(1.0);
+    }
+
+    geometry.dispose();
+  });
+});
+
+describe('planet curvature helpers', () => {
+  it('matches the geometric horizon of the earth', () => {
+    const radius = 6371000.0;
+
+    expect(getHorizonDistance(12.0, radius) / 1000.0).toBeCloseTo(12.37, 2);
+    expect(getHorizonDistance(2000.0, radius) / 1000.0).toBeCloseTo(159.6, 1);
+    expect(getHorizonDip(2000.0, radius) * (180.0 / Math.PI)).toBeCloseTo(1.436, 2);
+    expect(getCurvatureDrop(10000.0, radius)).toBeCloseTo(7.85, 2);
+    expect(getHorizonDistance(12.0, 0.0)).toBe(Infinity);
+    expect(getHorizonDip(-3.0, radius)).toBe(0.0);
+  });
+});
+
+describe('OceanLODGrid', () => {
+  it('shares the ring uniforms with the skirt without copying them', () => {
+    const renderTarget = new WebGLRenderTarget(4, 4);
+    const material = createMaterial({ uRippleMap: { value: renderTarget.texture } });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const grid = new OceanLODGrid({ material, levels: [64, 128, 256], baseCellSize: 2.0 });
+
+    expect(warn).not.toHaveBeenCalled();
+    expect(grid.skirtMaterial.uniforms).toBe(material.uniforms);
+    expect(grid.skirtMaterial.defines.OCEAN_SKIRT).toBe('');
+    expect(material.defines.OCEAN_SKIRT).toBeUndefined();
+
+    warn.mockRestore();
+    grid.dispose();
+    renderTarget.dispose();
+  });
+
+  it('snaps every level to twice its own cell size', () => {
+    const grid = new OceanLODGrid({ material: createMaterial(), levels: [64, 128, 256], baseCellSize: 2.0 });
+    grid.setLodScale(1.5);
+    grid.update(createCamera(37.0, 10.0, -13.0, 37.0, -60.0));
+
+    grid.levelOrigins.forEach((origin, index) => {
+      const snapSize = grid.layout[index].cellSize * 2.0 * 1.5;
+
+      expect(Math.abs(origin.x / snapSize - Math.round(origin.x / snapSize))).toBeLessThan(1e-9);
+      expect(37.0 - origin.x).toBeGreaterThanOrEqual(0.0);
+      expect(37.0 - origin.x).toBeLessThan(snapSize);
+      expect(-13.0 - origin.y).toBeGreaterThanOrEqual(0.0);
+      expect(-13.0 - origin.y).toBeLessThan(snapSize);
+    });
+
+    grid.dispose();
+  });
+
+  it('keeps every level on its world lattice when the scene origin moves', () => {
+    const grid = new OceanLODGrid({ material: createMaterial(), levels: [64, 128, 256], baseCellSize: 2.0 });
+    grid.setLodScale(1.37);
+    grid.update(createCamera(5157.0, 10.0, -13.0, 5157.0, -60.0));
+    const worldOrigins = grid.levelOrigins.map((origin) => origin.clone());
+
+    grid.setOriginOffset(5120.0, 0.0);
+    grid.update(createCamera(37.0, 10.0, -13.0, 37.0, -60.0));
+
+    grid.levelOrigins.forEach((origin, index) => {
+      expect(origin.x + 5120.0).toBeCloseTo(worldOrigins[index].x, 6);
+      expect(origin.y).toBeCloseTo(worldOrigins[index].y, 6);
+    });
+
+    grid.dispose();
+  });
+
+  it('draws only the tiles in view, padded by the displacement bound', () => {
+    const { levelSizes, baseCellSize } = QUALITY_PRESETS.cinematic;
+    const grid = new OceanLODGrid({ material: createMaterial(), levels: levelSizes, baseCellSize });
+    const camera = createCamera(0.0, 12.0, 0.0, 0.0, -100.0);
+
+    grid.update(camera);
+    const { patchesDrawn, patchCount, triangles } = grid.getStats();
+
+    // The trims and the horizon skirt are always drawn, one patch each.
+    const trimTriangles = grid.trims.reduce((sum, { mesh }) => sum + mesh.geometry.index.count / 3, 0);
+    expect(grid.mesh.count).toBe(patchesDrawn - grid.trims.length - 1);
+    expect(grid.mesh.count).toBeGreaterThan(0);
+    expect(patchesDrawn).toBeLessThan(patchCount * 0.5);
+    expect(triangles).toBe(grid.mesh.count * TILE_CELLS * TILE_CELLS * 2 + trimTriangles + grid.skirt.geometry.index.count / 3);
+
+    grid.setDisplacementBound(40.0, 40.0);
+    grid.update(camera);
+    expect(grid.getStats().patchesDrawn).toBeGreaterThan(patchesDrawn);
+
+    grid.dispose();
+  });
+
+  it('stops drawing tiles past the horizon of a curved sea', () => {
+    const { levelSizes, baseCellSize } = QUALITY_PRESETS.balanced;
+    const grid = new OceanLODGrid({ material: createMaterial(), levels: levelSizes, baseCellSize });
+    const camera = createCamera(0.0, 40.0, 0.0, 0.0, -100.0);
+
+    grid.update(camera);
+    const flatPatches = grid.getStats().patchesDrawn;
+
+    // A 20 km planet puts the horizon of a 40 m camera at about 1.3 km.
+    grid.setPlanetRadius(20000.0);
+    grid.update(camera);
+    expect(grid.getStats().patchesDrawn).toBeLessThan(flatPatches);
+    expect(grid.getStats().patchesDrawn).toBeGreaterThan(1);
+
+    grid.setPlanetRadius(0.0);
+    grid.update(camera);
+    expect(grid.getStats().patchesDrawn).toBe(flatPatches);
+
+    grid.dispose();
+  });
+
+  it('lays the fully morphed edge of each level onto the vertices of the coarser trim', () => {
+    const grid = new OceanLODGrid({ material: createMaterial(), levels: [64, 128, 256, 512], baseCellSize: 2.0 });
+    grid.setLodScale(1.25);
+
+    [
+      [37.0, -13.0],
+      [41.5, -9.0],
+      [-2.6, 3.1],
+      [45.0, 5.0],
+    ].forEach(([x, z]) => {
+      grid.update(createCamera(x, 10.0, z, x, z - 50.0));
+
+      for (let i = 1; i < grid.layout.length; i += 1) {
+        const finer = grid.layout[i - 1];
+        const finerOrigin = grid.levelOrigins[i - 1];
+        const finerCell = finer.cellSize * 1.25;
+        const { mesh } = grid.trims[i - 1];
+        const trimVertices = new Set();
+        const position = mesh.geometry.getAttribute('position');
+        const vertex = new Vector3();
+        const toKey = (vx, vz) => `${vx.toFixed(3)},${vz.toFixed(3)}`;
+
+        for (let v = 0; v < position.count; v += 1) {
+          vertex.fromBufferAttribute(position, v).multiply(mesh.scale).add(mesh.position);
+          trimVertices.add(toKey(vertex.x, vertex.z));
+        }
+
+        // Walk the finer level's outer edge; odd vertices collapse onto the even one below them, as in the shader.
+        for (let k = -finer.outerCells; k <= finer.outerCells; k += 1) {
+          const along = (k - MathUtils.euclideanModulo(k, 2)) * finerCell;
+          const edge = finer.outerCells * finerCell;
+
+          [
+            [finerOrigin.x - edge, finerOrigin.y + along],
+            [finerOrigin.x + edge, finerOrigin.y + along],
+            [finerOrigin.x + along, finerOrigin.y - edge],
+            [finerOrigin.x + along, finerOrigin.y + edge],
+          ].forEach(([vx, vz]) => {
+            expect(trimVertices.has(toKey(vx, vz))).toBe(true);
+          });
+        }
+      }
+    });
+
+    grid.dispose();
+  });
+
+  it('rebuilds its layout when the camera climbs', () => {
+    const { levelSizes, baseCellSize } = QUALITY_PRESETS.balanced;
+    const grid = new OceanLODGrid({ material: createMaterial(), levels: levelSizes, baseCellSize });
+
+    grid.update(createCamera(0.0, 12.0, 0.0, 0.0, -100.0));
+    const nearLayout = grid.layout;
+
+    grid.update(createCamera(0.0, 2000.0, 0.0, 0.0, -4000.0));
+
+    expect(grid.getStats().detailLevel).toBe(7);
+    expect(grid.layout[0].cellSize).toBeCloseTo(nearLayout[0].cellSize * 128);
+    expect(grid.layout.length).toBeLessThan(nearLayout.length);
+
+    grid.dispose();
+  });
+});
@@ -1,117 +1,459 @@
-import { Color, DataTexture, Matrix4, RGBAFormat, ShaderMaterial, UnsignedByteType, Vector2, Vector3 } from 'three';
+import { Color, DataTexture, DoubleSide, Matrix4, RGBAFormat, ShaderMaterial, UnsignedByteType, Vector2, Vector3, Vector4 } from 'three';
 
 const defaultReflectionTextureData = new Uint8Array([120, 150, 185, 255]);
 const defaultReflectionTexture = new DataTexture(defaultReflectionTextureData, 1, 1, RGBAFormat, UnsignedByteType);
 defaultReflectionTexture.needsUpdate = true;
 
-export const createOceanMaterial = ({ displacementMap, normalMap, simSize }) => {
+const defaultBathymetryTexture = new DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1, RGBAFormat, UnsignedByteType);
+defaultBathymetryTexture.needsUpdate = true;
+
+const defaultRefractionTexture = new DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1, RGBAFormat, UnsignedByteType);
+defaultRefractionTexture.needsUpdate = true;
+
+const defaultLocalFieldTexture = new DataTexture(new Uint8Array([0, 0, 0, 0]), 1, 1, RGBAFormat, UnsignedByteType);
+defaultLocalFieldTexture.needsUpdate = true;
+
+// Fraction of a local field's domain over which it fades out, hiding its boundary (ripples reflect there).
+const LOCAL_FIELD_EDGE_FADE = 0.15;
+
+// Finer cascades fade out between these multiples of their patch size before they would alias.
+export const CASCADE_FADE_START = 6.0;
+export const CASCADE_FADE_END = 20.0;
+export const VERTICAL_DISPLACEMENT_SCALE = 1.2;
+
+// World-space value noise repeats every NOISE_PERIOD lattice cells; each frequency times the floating origin's rebase
+// step is a whole number of periods, so foam breakup and glitter do not change when the scene is rebased.
+export const NOISE_PERIOD = 256.0;
+export const WORLD_NOISE_FREQUENCIES = [0.45, 1.9, 2.7];
+
+const smoothstep = (edge0, edge1, value) => {
+  const t = Math.min(1.0, Math.max(0.0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3.0 - 2.0 * t);
+};
+
+export const getCascadeWeight = (cascadeIndex, cascadeSize, viewDistance) =>
+  cascadeIndex === 0 ? 1.0 : 1.0 - smoothstep(cascadeSize * CASCADE_FADE_START, cascadeSize * CASCADE_FADE_END, viewDistance);
+
+// Each cascade's depth response is evaluated at a few times its fundamental, where most of its energy sits.
+const CASCADE_DOMINANT_WAVES = 4.0;
+export const SHORE_FADE_DEPTH = 1.0;
+export const MAX_SHOALING = 1.6;
+export const MAX_SHALLOW_CHOP = 2.5;
+
+export const getCascadeWavenumber = (cascadeSize) => (2.0 * Math.PI * CASCADE_DOMINANT_WAVES) / cascadeSize;
+
+// Cube face size of the sky environment the surface samples (see SkyEnvironment). The PMREM layout follows from it, so
+// the shader is compiled for it up front.
+export const ENVIRONMENT_SIZE = 256;
+
+// The layout constants three.js derives for a PMREM of this face size.
+const getCubeUVDefines = (faceSize) => ({
+  ENVMAP_TYPE_CUBE_UV: '',
+  CUBEUV_TEXEL_WIDTH: 1.0 / (3.0 * Math.max(faceSize, 16 * 7)),
+  CUBEUV_TEXEL_HEIGHT: 1.0 / (4.0 * faceSize),
+  CUBEUV_MAX_MIP: Math.log2(faceSize).toFixed(1),
+});
+
+// Planet curvature: the sea is wrapped onto a sphere resting on sea level under the camera (see curveOntoPlanet). A flat
+// sea (zero radius) has no horizon.
+export const getHorizonDistance = (height, planetRadius) =>
+  planetRadius > 0.0 ? Math.sqrt(Math.max(height, 0.0) * (2.0 * planetRadius + Math.max(height, 0.0))) : Infinity;
+
+// Angle by which the sea horizon sits below eye level, seen from height above sea level.
+export const getHorizonDip = (height, planetRadius) =>
+  planetRadius > 0.0 && height > 0.0 ? Math.acos(planetRadius / (planetRadius + height)) : 0.0;
+
+// Upper bound on how far the curved surface falls below the plane at a horizontal distance from the camera.
+export const getCurvatureDrop = (distance, planetRadius) => (planetRadius > 0.0 ? (distance * distance) / (2.0 * planetRadius) : 0.0);
+
+// Linear shoaling Ks = sqrt(cg_deep / cg) grows the waves as they slow down; orbits flatten by 1 / tanh(kh) so crests steepen.
+export const getShallowWaterResponse = (wavenumber, depth, target = { vertical: 1.0, horizontal: 1.0 }) => {
+  const kh = Math.min(wavenumber * Math.max(depth, 0.0001), 20.0);
+  const depthTerm = Math.tanh(kh);
+  const groupRatio = 0.5 * (1.0 + (2.0 * kh) / Math.sinh(2.0 * kh));
+  const shore = smoothstep(0.0, SHORE_FADE_DEPTH, depth);
+
+  target.vertical = Math.min(1.0 / Math.sqrt(Math.max(2.0 * groupRatio * depthTerm, 0.0001)), MAX_SHOALING) * shore;
+  target.horizontal = Math.min(target.vertical / depthTerm, MAX_SHALLOW_CHOP * shore);
+
+  return target;
+};
+
+const shallowWaterChunk = `
+  vec2 shallowWaterResponse(float wavenumber, float depth) {
+    float kh = min(wavenumber * max(depth, 0.0001), 20.0);
+    float depthTerm = tanh(kh);
+    float groupRatio = 0.5 * (1.0 + 2.0 * kh / sinh(2.0 * kh));
+    float shore = smoothstep(0.0, ${SHORE_FADE_DEPTH.toFixed(1)}, depth);
+
+    float vertical = min(inversesqrt(max(2.0 * groupRatio * depthTerm, 0.0001)), ${MAX_SHOALING.toFixed(1)}) * shore;
+    float horizontal = min(vertical / depthTerm, ${MAX_SHALLOW_CHOP.toFixed(1)} * shore);
+
+    return vec2(horizontal, vertical);
+  }
+`;
+
+// Seabed heights live in the red channel, mapped linearly between the configured min and max heights (sea level is y = 0).
+const bathymetryChunk = `
+  uniform sampler2D uBathymetryMap;
+  uniform float uBathymetryEnabled;
+  uniform vec4 uBathymetryBounds;
+  uniform vec2 uBathymetryHeightRange;
+  uniform float uWaterDepth;
+
+  float sampleWaterDepth(vec2 worldXZ) {
+    vec2 bathymetryUV = (worldXZ - uBathymetryBounds.xy) / uBathymetryBounds.zw;
+
+    if (uBathymetryEnabled < 0.5 || any(lessThan(bathymetryUV, vec2(0.0))) || any(greaterThan(bathymetryUV, vec2(1.0)))) {
+      return uWaterDepth;
+    }
+
+    float seabedHeight = mix(uBathymetryHeightRange.x, uBathymetryHeightRange.y, texture2D(uBathymetryMap, bathymetryUV).r);
+    return max(-seabedHeight, 0.0);
+  }
+`;
+
+// Camera-following local fields share one sampler; bounds are minX, minZ, size and each field fades out before its edges.
+// Ripples: r = height, ba = height gradient (see rippleShaders). Wakes: r = height, gb = height gradient, a = foam.
+const localFieldChunk = `
+  uniform sampler2D uRippleMap;
+  uniform vec3 uRippleBounds;
+  uniform float uRippleStrength;
+  uniform sampler2D uWakeMap;
+  uniform vec3 uWakeBounds;
+
+  vec4 sampleLocalField(sampler2D fieldMap, vec3 bounds, vec2 worldXZ) {
+    vec2 fieldUV = (worldXZ - bounds.xy) / bounds.z;
+    vec2 edgeDistance = min(fieldUV, 1.0 - fieldUV);
+    float fade = smoothstep(0.0, ${LOCAL_FIELD_EDGE_FADE.toFixed(2)}, min(edgeDistance.x, edgeDistance.y));
+
+    if (fade <= 0.0) {
+      return vec4(0.0);
+    }
+
+    return texture2D(fieldMap, fieldUV) * fade;
+  }
+`;
+
+const cascadeWeightChunk = `
+  float cascadeWeight(int cascadeIndex, float cascadeSize, float viewDistance) {
+    if (cascadeIndex == 0) {
+      return 1.0;
+    }
+
+    return 1.0 - smoothstep(cascadeSize * ${CASCADE_FADE_START.toFixed(1)}, cascadeSize * ${CASCADE_FADE_END.toFixed(1)}, viewDistance);
+  }
+`;
+
+// Displacement at any world position, shared by the surface vertex shader and the underwater passes that need the water
+// height over arbitrary points.
+const createDisplacementChunk = (cascadeCount) => `
+  uniform sampler2D uDisplacementMaps[CASCADE_COUNT];
+  uniform float uCascadeSizes[CASCADE_COUNT];
+  uniform vec2 uCascadeOffsets[CASCADE_COUNT];
+  uniform float uCascadeWavenumbers[CASCADE_COUNT];
+  uniform float uDisplacementScale;
+
+  ${cascadeWeightChunk}
+  ${shallowWaterChunk}
+  ${bathymetryChunk}
+  ${localFieldChunk}
+
+  vec3 sampleCascadeDisplacement(sampler2D displacementMap, float cascadeSize, vec2 cascadeOffset, float wavenumber, int cascadeIndex, vec2 worldXZ, float viewDistance, float depth) {
+    vec2 response = shallowWaterResponse(wavenumber, depth);
+    vec3 cascadeDisplacement = texture2D(displacementMap, fract(worldXZ / cascadeSize + cascadeOffset)).xyz * response.xyx;
+    return cascadeDisplacement * cascadeWeight(cascadeIndex, cascadeSize, viewDistance);
+  }
+
+  vec3 sampleOceanDisplacement(vec2 worldXZ, float viewDistance, float waterDepth) {
+    vec3 displacement = vec3(0.0);
+
+    #pragma unroll_loop_start
+    for (int i = 0; i < ${cascadeCount}; i++) {
+      displacement += sampleCascadeDisplacement(uDisplacementMaps[ i ], uCascadeSizes[ i ], uCascadeOffsets[ i ], uCascadeWavenumbers[ i ], UNROLLED_LOOP_INDEX, worldXZ, viewDistance, waterDepth);
+    }
+    #pragma unroll_loop_end
+
+    displacement.xz *= uDisplacementScale;
+    displacement.y *= uDisplacementScale * ${VERTICAL_DISPLACEMENT_SCALE.toFixed(1)};
+    displacement.y += sampleLocalField(uRippleMap, uRippleBounds, worldXZ).r * uRippleStrength;
+    displacement.y += sampleLocalField(uWakeMap, uWakeBounds, worldXZ).r;
+
+    return displacement;
+  }
+`;
+
+// Beer-Lambert extinction along a path through the water, with in-scattered light filling in what is absorbed.
+const underwaterChunk = `
+  uniform vec3 uUnderwaterColor;
+  uniform vec3 uUnderwaterAbsorption;
+
+  vec3 applyUnderwaterFog(vec3 color, float pathLength) {
+    vec3 transmittance = exp(-uUnderwaterAbsorption * pathLength);
+    return color * transmittance + uUnderwaterColor * (1.0 - transmittance);
+  }
+`;
+
+export const createOceanMaterial = ({ displacementMaps, normalMaps, cascadeSizes }) => {
+  const cascadeCount = cascadeSizes.length;
+
   const uniforms = {
     uTime: { value: 0.0 },
-    uDisplacementMap: { value: displacementMap },
-    uNormalMap: { value: normalMap },
-    uSimSize: { value: simSize },
+    uDisplacementMaps: { value: displacementMaps },
+    uNormalMaps: { value: normalMaps },
+    uCascadeSizes: { value: cascadeSizes.slice() },
+    // Where the scene origin sits in each cascade's tile, so the waves stay put in the world across floating-origin rebases.
+    uCascadeOffsets: { value: cascadeSizes.map(() => new Vector2()) },
+    uCascadeWavenumbers: { value: cascadeSizes.map(getCascadeWavenumber) },
+    uWaterDepth: { value: 500.0 },
+    uBathymetryMap: { value: defaultBathymetryTexture },
+    uBathymetryEnabled: { value: 0.0 },
+    uBathymetryBounds: { value: new Vector4(0.0, 0.0, 1.0, 1.0) },
+    uBathymetryHeightRange: { value: new Vector2(-50.0, 0.0) },
+    uDepthTintFalloff: { value: 0.12 },
+    uRippleMap: { value: defaultLocalFieldTexture },
+    uRippleBounds: { value: new Vector3(0.0, 0.0, 1.0) },
+    uRippleStrength: { value: 1.0 },
+    uWakeMap: { value: defaultLocalFieldTexture },
+    uWakeBounds: { value: new Vector3(0.0, 0.0, 1.0) },
     uDisplacementScale: { value: 1.0 },
     uNormalStrength: { value: 1.0 },
     uRoughness: { value: 0.15 },
-    uFoamIntensity: { value: 0.55 },
+    uSlopeVariance: { value: 0.06 },
     uFoamColor: { value: new Color(0xf8fbff) },
     uDeepColor: { value: new Color(0x031126) },
     uShallowColor: { value: new Color(0x206a89) },
     uSunDirection: { value: new Vector3(0.5, 0.6, 0.4).normalize() },
     uSunColor: { value: new Color(0xfff2d0) },
+    // Moon radiance, already scaled by its phase and height; black while it is down.
+    uMoonDirection: { value: new Vector3(0.0, -1.0, 0.0) },
+    uMoonColor: { value: new Color(0x000000) },
     uSkyZenithColor: { value: new Color(0x4f84c4) },
     uSkyHorizonColor: { value: new Color(0xaac7de) },
+    // Prefiltered sky dome; until one is set the sky colours above stand in for it.
+    uEnvironmentMap: { value: null },
+    uUseEnvironment: { value: 0.0 },
     uHazeDensity: { value: 0.00017 },
+    // Zero keeps the sea flat.
+    uPlanetRadius: { value: 0.0 },
+    uHorizonDip: { value: 0.0 },
     uRefractionStrength: { value: 0.34 },
     uReflectionMap: { value: defaultReflectionTexture },
     uReflectionMatrix: { value: new Matrix4() },
     uReflectionStrength: { value: 0.58 },
     uReflectionDistortion: { value: 0.016 },
     uSunScatterStrength: { value: 0.24 },
-    uFoamScale: { value: 0.17 },
-    uDetailDrift: { value: new Vector2(0.0, 0.0) },
+    uScreenRefractionEnabled: { value: 0.0 },
+    uScreenRefractionDistortion: { value: 0.035 },
+    uRefractionMap: { value: defaultRefractionTexture },
+    uRefractionDepthMap: { value: defaultRefractionTexture },
+    uCameraNear: { value: 0.1 },
+    uCameraFar: { value: 1000.0 },
+    uUnderwaterColor: { value: new Color(0x0b4a5e) },
+    uUnderwaterAbsorption: { value: new Vector3(0.32, 0.075, 0.05) },
+    uCameraWaterHeight: { value: 0.0 },
+    uProjectorMatrix: { value: new Matrix4() },
+    uProjectedGridRange: { value: new Vector4(-1.0, -1.0, 1.0, 1.0) },
+    uProjectedGridMaxDistance: { value: 1000.0 },
   };
 
   const material = new ShaderMaterial({
     uniforms,
+    defines: getCubeUVDefines(ENVIRONMENT_SIZE),
     vertexShader: `
       precision highp float;
 
-      uniform sampler2D uDisplacementMap;
-      uniform float uSimSize;
-      uniform float uDisplacementScale;
+      #define CASCADE_COUNT ${cascadeCount}
+
       uniform mat4 uReflectionMatrix;
-      uniform float uTime;
-      uniform vec2 uDetailDrift;
+
+      #ifdef PROJECTED_GRID
+        uniform mat4 uProjectorMatrix;
+        uniform vec4 uProjectedGridRange;
+        uniform float uProjectedGridMaxDistance;
+      #elif defined(OCEAN_SKIRT)
+        // 1 on the edge shared with the coarsest ring, 0 on the flat far field.
+        attribute float skirtBlend;
+      #else
+        // LOD grid, per tile: cell size, morph start and morph end distance. Zero cell size: no morph.
+        attribute vec3 lodMorph;
+      #endif
+
+      uniform float uPlanetRadius;
 
       varying vec3 vWorldPosition;
-      varying vec2 vSimUV0;
-      varying vec2 vSimUV1;
+      varying vec2 vGridPosition;
       varying float vDisplacedHeight;
+      varying float vWaterDepth;
       varying vec4 vReflectionCoord;
+      varying vec4 vScreenCoord;
+
+      ${createDisplacementChunk(cascadeCount)}
+
+      // Wraps the flat sea onto a sphere of radius uPlanetRadius that touches sea level under the camera: distance from
+      // the camera becomes arc length, so the horizon drops below eye level and distant swell curves away.
+      vec3 curveOntoPlanet(vec3 point, float seaLevel) {
+        vec2 offset = point.xz - cameraPosition.xz;
+        float arc = length(offset);
+        float angle = arc / uPlanetRadius;
+        float height = point.y - seaLevel;
+        float halfSine = sin(angle * 0.5);
+        vec2 horizontal = offset / max(arc, 1e-4) * (uPlanetRadius * sin(angle) + height * sin(angle));
+
+        // 2 R sin^2(a / 2) rather than R (1 - cos a), which float32 cannot resolve near the camera.
+        return vec3(
+          cameraPosition.x + horizontal.x,
+          seaLevel + height * cos(angle) - 2.0 * uPlanetRadius * halfSine * halfSine,
+          cameraPosition.z + horizontal.y
+        );
+      }
 
-      vec2 worldToSimUV(vec2 worldXZ, float tiling, vec2 drift) {
-        return fract(worldXZ / (uSimSize * tiling) + drift);
+      #ifdef PROJECTED_GRID
+      // Casts a grid vertex (uv over the covered part of the frame) from the camera onto the sea plane. Rays that miss
+      // the plane, or meet it past the far plane, are laid along the horizon at the far distance.
+      vec3 projectGridVertex(vec2 uv) {
+        vec2 ndc = mix(uProjectedGridRange.xy, uProjectedGridRange.zw, uv);
+        vec4 nearPoint = uProjectorMatrix * vec4(ndc, -1.0, 1.0);
+        vec4 farPoint = uProjectorMatrix * vec4(ndc, 1.0, 1.0);
+        vec3 origin = nearPoint.xyz / nearPoint.w;
+        vec3 ray = normalize(farPoint.xyz / farPoint.w - origin);
+
+        float planeHeight = modelMatrix[3].y;
+        float heightAbove = origin.y - planeHeight;
+        float horizontalLength = max(length(ray.xz), 1e-5);
+        float reach = ray.y * heightAbove < 0.0 ? -heightAbove / ray.y * horizontalLength : uProjectedGridMaxDistance;
+        vec2 planePosition = origin.xz + ray.xz / horizontalLength * min(reach, uProjectedGridMaxDistance);
+
+        return vec3(planePosition.x, planeHeight, planePosition.y);
+      }
+      #elif !defined(OCEAN_SKIRT)
+      // Slides odd vertices onto the next coarser lattice as they approach the level's edge, so by the edge every vertex
+      // sits on a vertex of the coarser trim and the two levels meet without a crack or a pop.
+      vec3 morphLODVertex(vec3 worldPosition, vec2 tileCell) {
+        if (lodMorph.x <= 0.0) {
+          return worldPosition;
+        }
+
+        vec3 morph = lodMorph * length(modelMatrix[0].xyz);
+        vec2 toCamera = abs(worldPosition.xz - cameraPosition.xz);
+        float morphFactor = clamp((max(toCamera.x, toCamera.y) - morph.y) / max(morph.z - morph.y, 1e-3), 0.0, 1.0);
+
+        // Tiles start on even cells of the level, so the vertex's cell within its tile gives the parity without relying
+        // on world coordinates, which the floating origin offsets by arbitrary amounts.
+        vec2 cell = floor(tileCell + 0.5);
+        vec2 oddCell = cell - 2.0 * floor(cell * 0.5);
+        worldPosition.xz -= oddCell * morph.x * morphFactor;
+
+        return worldPosition;
       }
+      #endif
 
       void main() {
-        vec3 worldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+        #if defined(PROJECTED_GRID)
+          vec3 worldPosition = projectGridVertex(position.xy);
+        #elif defined(OCEAN_SKIRT)
+          vec3 worldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+        #else
+          vec4 gridPosition = vec4(position, 1.0);
+          #ifdef USE_INSTANCING
+            gridPosition = instanceMatrix * gridPosition;
+          #endif
+          vec3 worldPosition = morphLODVertex((modelMatrix * gridPosition).xyz, position.xz);
+        #endif
+        float viewDistance = length(cameraPosition.xz - worldPosition.xz);
+        float waterDepth = sampleWaterDepth(worldPosition.xz);
+        vec3 displacement = sampleOceanDisplacement(worldPosition.xz, viewDistance, waterDepth);
+
+        #ifdef OCEAN_SKIRT
+          displacement *= skirtBlend;
+        #endif
 
-        vec2 uv0 = worldToSimUV(worldPosition.xz, 1.0, vec2(0.0));
-        vec2 uv1 = worldToSimUV(worldPosition.xz * 0.43 + uDetailDrift * uTime * 40.0, 0.42, vec2(0.25, 0.13));
-
-        vec3 displacement0 = texture2D(uDisplacementMap, uv0).xyz;
-        vec3 displacement1 = texture2D(uDisplacementMap, uv1).xyz;
+        vec3 displacedWorld = worldPosition + displacement;
 
-        vec3 displacement = displacement0 + displacement1 * 0.35;
-        displacement.xz *= uDisplacementScale;
-        displacement.y *= uDisplacementScale * 1.2;
+        // The planar reflection is rendered for the tangent plane under the camera, so it is looked up where the water
+        // would be without curvature and stays attached to the waves.
+        vReflectionCoord = uReflectionMatrix * vec4(displacedWorld, 1.0);
 
-        vec3 displacedWorld = worldPosition + displacement;
+        if (uPlanetRadius > 0.0) {
+          displacedWorld = curveOntoPlanet(displacedWorld, modelMatrix[3].y);
+        }
 
         vWorldPosition = displacedWorld;
-        vSimUV0 = uv0;
-        vSimUV1 = uv1;
+        vGridPosition = worldPosition.xz;
         vDisplacedHeight = displacement.y;
-        vReflectionCoord = uReflectionMatrix * vec4(displacedWorld, 1.0);
+        vWaterDepth = waterDepth;
 
         gl_Position = projectionMatrix * viewMatrix * vec4(displacedWorld, 1.0);
+        vScreenCoord = gl_Position;
       }
     `,
     fragmentShader: `
       precision highp float;
 
-      uniform sampler2D uNormalMap;
+      #define CASCADE_COUNT ${cascadeCount}
+
+      uniform sampler2D uNormalMaps[CASCADE_COUNT];
+      uniform float uCascadeSizes[CASCADE_COUNT];
+      uniform vec2 uCascadeOffsets[CASCADE_COUNT];
       uniform vec3 uSunDirection;
       uniform vec3 uSunColor;
+      uniform vec3 uMoonDirection;
+      uniform vec3 uMoonColor;
       uniform vec3 uSkyZenithColor;
       uniform vec3 uSkyHorizonColor;
       uniform vec3 uDeepColor;
       uniform vec3 uShallowColor;
       uniform vec3 uFoamColor;
-      uniform float uFoamIntensity;
       uniform float uRoughness;
+      uniform float uSlopeVariance;
       uniform float uNormalStrength;
       uniform float uHazeDensity;
+      uniform sampler2D uEnvironmentMap;
+      uniform float uUseEnvironment;
+      uniform float uPlanetRadius;
+      uniform float uHorizonDip;
       uniform float uRefractionStrength;
       uniform float uReflectionStrength;
       uniform float uReflectionDistortion;
       uniform float uSunScatterStrength;
-      uniform float uFoamScale;
+      uniform float uDepthTintFalloff;
+      uniform float uScreenRefractionEnabled;
+      uniform float uScreenRefractionDistortion;
+      uniform sampler2D uRefractionMap;
+      uniform sampler2D uRefractionDepthMap;
+      uniform float uCameraNear;
+      uniform float uCameraFar;
       uniform sampler2D uReflectionMap;
       uniform float uTime;
+      uniform float uCameraWaterHeight;
 
       varying vec3 vWorldPosition;
-      varying vec2 vSimUV0;
-      varying vec2 vSimUV1;
+      varying vec2 vGridPosition;
       varying float vDisplacedHeight;
+      varying float vWaterDepth;
       varying vec4 vReflectionCoord;
+      varying vec4 vScreenCoord;
+
+      #include <packing>
+      #include <cube_uv_reflection_fragment>
+
+      ${cascadeWeightChunk}
+      ${localFieldChunk}
+      ${underwaterChunk}
+
+      // Normals are combined as slopes so each cascade adds its own tilt; alpha carries that cascade's accumulated foam.
+      vec3 sampleCascadeSlopeFoam(sampler2D normalMap, float cascadeSize, vec2 cascadeOffset, int cascadeIndex, vec2 worldXZ, float viewDistance) {
+        vec4 cascadeSample = texture2D(normalMap, fract(worldXZ / cascadeSize + cascadeOffset));
+        vec2 cascadeSlope = cascadeSample.xz / max(cascadeSample.y, 0.05);
+        return vec3(cascadeSlope, cascadeSample.a) * cascadeWeight(cascadeIndex, cascadeSize, viewDistance);
+      }
 
       float sat01(float value) {
         return clamp(value, 0.0, 1.0);
       }
 
       float hash12(vec2 p) {
+        p = mod(p, ${NOISE_PERIOD.toFixed(1)});
         return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
       }
 
@@ -129,21 +471,64 @@ export const createOceanMaterial = ({ displacementMap, normalMap, simSize }) =>
         return mix(a, b, u.x) + (c - a) * u.y * (1.0 - u.x) + (d - b) * u.x * u.y;
       }
 
+      // Turns a normal from the flat frame into the curved one: the local vertical leans away from the camera by the arc
+      // angle of the point.
+      vec3 tiltOntoPlanet(vec3 normal) {
+        if (uPlanetRadius <= 0.0) {
+          return normal;
+        }
+
+        vec2 offset = vGridPosition - cameraPosition.xz;
+        float arc = length(offset);
+        vec2 direction = offset / max(arc, 1e-4);
+        float angle = arc / uPlanetRadius;
+        float along = dot(normal.xz, direction);
+        float tiltedAlong = along * cos(angle) + normal.y * sin(angle);
+
+        normal.y = normal.y * cos(angle) - along * sin(angle);
+        normal.xz += direction * (tiltedAlong - along);
+
+        return normal;
+      }
+
       float edgeFade(vec2 uv, float fadeWidth) {
         vec2 f = min(uv, 1.0 - uv);
         float edgeDistance = min(f.x, f.y);
         return smoothstep(0.0, fadeWidth, edgeDistance);
       }
 
-      vec3 sampleSky(vec3 direction, vec3 sunDirection) {
-        float up = sat01(direction.y * 0.5 + 0.5);
-        vec3 skyGradient = mix(uSkyHorizonColor, uSkyZenithColor, pow(up, 1.3));
+      // Linear HDR inputs are tone mapped and encoded the way the main render draws the rest of the scene.
+      vec3 toDisplay(vec3 color) {
+        #ifdef TONE_MAPPING
+          color = toneMapping(color);
+        #endif
 
-        float sunAmount = sat01(dot(normalize(direction), normalize(sunDirection)));
-        float sunGlow = pow(sunAmount, 18.0) * 0.45;
-        float sunDisk = smoothstep(0.998, 0.9999, sunAmount) * 20.0;
+        return linearToOutputTexel(vec4(color, 1.0)).rgb;
+      }
 
-        return skyGradient + uSunColor * (sunGlow + sunDisk);
+      // The captured sky dome, blurred to the roughness of the lobe; the sun itself is left to the specular term. Until
+      // a capture exists the two sky colours and a drawn-in sun stand in. The moon is not captured and is always added.
+      vec3 sampleSky(vec3 direction, vec3 sunDirection, float roughness) {
+        vec3 sky;
+
+        if (uUseEnvironment > 0.5) {
+          sky = toDisplay(textureCubeUV(uEnvironmentMap, direction, roughness).rgb);
+        } else {
+          // On a curved planet the sky's horizon band sits at the dipped sea horizon, as in the sky dome.
+          float up = sat01((direction.y + uHorizonDip) * 0.5 + 0.5);
+          vec3 skyGradient = mix(uSkyHorizonColor, uSkyZenithColor, pow(up, 1.3));
+
+          float sunAmount = sat01(dot(normalize(direction), normalize(sunDirection)));
+          float sunGlow = pow(sunAmount, 18.0) * 0.45;
+          float sunDisk = smoothstep(0.998, 0.9999, sunAmount) * 20.0;
+          sky = skyGradient + uSunColor * (sunGlow + sunDisk);
+        }
+
+        float moonAmount = sat01(dot(normalize(direction), uMoonDirection));
+        float moonGlow = pow(moonAmount, 400.0) * 0.6;
+        float moonDisk = smoothstep(0.99996, 0.99999, moonAmount) * 12.0;
+
+        return sky + uMoonColor * (moonGlow + moonDisk);
       }
 
       float distributionGGX(float NdotH, float roughness) {
@@ -167,35 +552,107 @@ export const createOceanMaterial = ({ displacementMap, normalMap, simSize }) =>
         return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
       }
 
-      void main() {
-        vec3 sampledNormal0 = texture2D(uNormalMap, vSimUV0).xyz;
-        vec3 sampledNormal1 = texture2D(uNormalMap, vSimUV1 * 1.6 + vec2(uTime * 0.02, -uTime * 0.017)).xyz;
+      // Cook-Torrance reflectance towards the viewer for light arriving from L, including N.L.
+      vec3 specularGGX(vec3 N, vec3 V, vec3 L, float roughness) {
+        vec3 H = normalize(V + L);
 
-        vec3 N = normalize(mix(sampledNormal0, sampledNormal1, 0.4));
+        float NdotV = sat01(dot(N, V));
+        float NdotL = sat01(dot(N, L));
+        float NdotH = sat01(dot(N, H));
+        float VdotH = sat01(dot(V, H));
+
+        vec3 F = fresnelSchlick(VdotH, vec3(0.02));
+        float D = distributionGGX(NdotH, roughness);
+        float G = geometrySmith(NdotV, NdotL, roughness);
+
+        return (D * G * F / max(4.0 * NdotV * NdotL, 0.0001)) * NdotL;
+      }
+
+      float sampleSceneViewDepth(vec2 screenUV) {
+        return -perspectiveDepthToViewZ(texture2D(uRefractionDepthMap, screenUV).r, uCameraNear, uCameraFar);
+      }
+
+      // The pre-pass is linear HDR.
+      vec3 sampleSceneColor(vec2 screenUV) {
+        return toDisplay(texture2D(uRefractionMap, screenUV).rgb);
+      }
+
+      // From below, the sky is squeezed into Snell's window (a cone of about 97 degrees around the normal); outside it the
+      // surface totally reflects the water body. Going from water to air, Schlick uses the angle on the air side, so the
+      // reflectance climbs smoothly to 1 at the critical angle.
+      vec3 shadeUnderside(vec3 N, vec3 V, vec3 L, float foamMask) {
+        vec3 transmitted = refract(-V, -N, 1.333);
+        vec3 color = uUnderwaterColor;
+
+        if (dot(transmitted, transmitted) > 0.0001) {
+          float cosTransmitted = sat01(dot(transmitted, N));
+          float reflectance = 0.02 + 0.98 * pow(1.0 - cosTransmitted, 5.0);
+          color = mix(sampleSky(transmitted, L, uRoughness), uUnderwaterColor, reflectance);
+        }
+
+        // Foam seen from below blocks the window and only glows with the light it scatters through.
+        return mix(color, uFoamColor * (0.2 + 0.4 * sat01(L.y)), sat01(foamMask) * 0.8);
+      }
+
+      void main() {
+        float gridDistance = length(cameraPosition.xz - vGridPosition);
+        vec3 slopeFoam = vec3(0.0);
+
+        #pragma unroll_loop_start
+        for (int i = 0; i < ${cascadeCount}; i++) {
+          slopeFoam += sampleCascadeSlopeFoam(uNormalMaps[ i ], uCascadeSizes[ i ], uCascadeOffsets[ i ], UNROLLED_LOOP_INDEX, vGridPosition, gridDistance);
+        }
+        #pragma unroll_loop_end
+
+        // Slopes are the negated height gradient, matching normal.xz / normal.y; wake foam joins the whitecap foam.
+        vec4 wake = sampleLocalField(uWakeMap, uWakeBounds, vGridPosition);
+        slopeFoam.xy -= sampleLocalField(uRippleMap, uRippleBounds, vGridPosition).ba * uRippleStrength;
+        slopeFoam.xy -= wake.gb;
+        slopeFoam.z += wake.a;
+
+        vec3 N = normalize(vec3(slopeFoam.x, 1.0, slopeFoam.y));
         N.xz *= uNormalStrength;
+
+        // Once a pixel spans more than the coarsest cascade resolves, its normals only alias: flatten them and let the
+        // slope variance they stood for widen the specular lobe instead.
+        float pixelFootprint = max(length(dFdx(vGridPosition)), length(dFdy(vGridPosition)));
+        float unresolvedSlopes = smoothstep(uCascadeSizes[0] * 0.02, uCascadeSizes[0] * 0.1, pixelFootprint);
+        N.xz *= 1.0 - unresolvedSlopes;
         N = normalize(N);
+        N = tiltOntoPlanet(N);
 
         vec3 V = normalize(cameraPosition - vWorldPosition);
         vec3 L = normalize(uSunDirection);
-        vec3 H = normalize(V + L);
+
+        // Breakup pattern is pinned to the undisplaced grid, so it rides with the water instead of scrolling over it.
+        float foamDetail = valueNoise2D(vGridPosition * ${WORLD_NOISE_FREQUENCIES[0].toFixed(2)}) * 0.6 +
+          valueNoise2D(vGridPosition * ${WORLD_NOISE_FREQUENCIES[1].toFixed(2)}) * 0.4;
+        float foamMask = slopeFoam.z * (0.55 + foamDetail * 0.9);
+
+        if (!gl_FrontFacing) {
+          // Well above the water, back faces are only folded crests and stay culled as before.
+          if (cameraPosition.y > uCameraWaterHeight + 2.0) {
+            discard;
+          }
+
+          vec3 undersideColor = shadeUnderside(N, V, L, foamMask);
+          gl_FragColor = vec4(applyUnderwaterFog(undersideColor, length(cameraPosition - vWorldPosition)), 1.0);
+          return;
+        }
 
         float NdotV = sat01(dot(N, V));
         float NdotL = sat01(dot(N, L));
-        float NdotH = sat01(dot(N, H));
-        float VdotH = sat01(dot(V, H));
 
         float slope = sat01(1.0 - N.y);
         float roughness = sat01(uRoughness + slope * 0.33);
+        // GGX alpha^2 matches the mean square slope of the waves it replaces.
+        roughness = sat01(pow(pow(roughness, 4.0) + uSlopeVariance * unresolvedSlopes, 0.25));
 
-        vec3 F0 = vec3(0.02);
-        vec3 F = fresnelSchlick(VdotH, F0);
-
-        float D = distributionGGX(NdotH, roughness);
-        float G = geometrySmith(NdotV, NdotL, roughness);
-        vec3 specular = (D * G * F / max(4.0 * NdotV * NdotL, 0.0001)) * uSunColor * NdotL;
+        vec3 specular = specularGGX(N, V, L, roughness) * uSunColor;
 
-        vec3 reflectedSky = sampleSky(reflect(-V, N), L);
-        vec3 refractedSky = sampleSky(refract(-V, N, 1.0 / 1.333), L);
+        vec3 reflectedSky = sampleSky(reflect(-V, N), L, roughness);
+        // Light inside the water has been scattered from the whole sky, so refraction takes the widest lobe.
+        vec3 refractedSky = sampleSky(refract(-V, N, 1.0 / 1.333), L, 1.0);
         vec2 reflectionUV = vReflectionCoord.xy / max(vReflectionCoord.w, 0.0001);
         vec2 reflectionDistortion = N.xz * uReflectionDistortion * (0.25 + (1.0 - NdotV) * 0.75);
         vec2 reflectionUVDistorted = reflectionUV + reflectionDistortion;
@@ -203,13 +660,45 @@ export const createOceanMaterial = ({ displacementMap, normalMap, simSize }) =>
         vec3 planarReflection = texture2D(uReflectionMap, reflectionUVClamped).rgb;
         float reflectionInside = edgeFade(reflectionUVDistorted, 0.045) * step(0.0, vReflectionCoord.w);
 
-        float shallowMix = sat01(0.52 + vDisplacedHeight * 0.07 - slope * 0.45 + NdotV * 0.2);
-        vec3 bodyColor = mix(uDeepColor, uShallowColor, shallowMix);
+        // Length of water the refracted view crosses: down to the seabed, or to whatever the pre-pass captured behind the surface.
+        float waterPath = max(vWaterDepth + vDisplacedHeight, 0.0);
+        vec3 sceneBehind = vec3(0.0);
+        float sceneVisible = 0.0;
+
+        if (uScreenRefractionEnabled > 0.5) {
+          vec2 screenUV = vScreenCoord.xy / vScreenCoord.w * 0.5 + 0.5;
+          float surfaceViewDepth = -(viewMatrix * vec4(vWorldPosition, 1.0)).z;
+          float viewRayScale = length(cameraPosition - vWorldPosition) / max(surfaceViewDepth, 0.0001);
+          float sceneViewDepth = sampleSceneViewDepth(screenUV);
+
+          // Bend more through thicker water, and never pick up geometry in front of the surface.
+          float distortion = uScreenRefractionDistortion * sat01((sceneViewDepth - surfaceViewDepth) * 0.5);
+          vec2 refractedUV = clamp(screenUV + N.xz * distortion, vec2(0.001), vec2(0.999));
+          float refractedViewDepth = sampleSceneViewDepth(refractedUV);
+
+          if (refractedViewDepth > surfaceViewDepth) {
+            sceneViewDepth = refractedViewDepth;
+          } else {
+            refractedUV = screenUV;
+          }
+
+          waterPath = max(sceneViewDepth - surfaceViewDepth, 0.0) * viewRayScale;
+          sceneBehind = sampleSceneColor(refractedUV);
+          sceneVisible = 1.0;
+        }
+
+        // Thin water reads as the shallow tint, fading to the deep colour as the path through the water grows.
+        float depthMix = exp(-waterPath * uDepthTintFalloff);
+        vec3 bodyColor = mix(uDeepColor, uShallowColor, depthMix);
         float opticalDepth = 1.0 / max(0.09, NdotV);
         vec3 absorption = exp(-vec3(0.55, 0.24, 0.11) * opticalDepth * 0.55);
         bodyColor *= absorption;
 
         vec3 refractedColor = mix(bodyColor, refractedSky * bodyColor, uRefractionStrength * 0.45);
+
+        // Beer-Lambert: what survives the path shows through, the water's own colour fills in what was absorbed.
+        vec3 sceneTransmittance = exp(-uUnderwaterAbsorption * waterPath) * sceneVisible;
+        refractedColor = sceneBehind * sceneTransmittance + refractedColor * (1.0 - sceneTransmittance);
         float distanceToCamera = length(cameraPosition.xz - vWorldPosition.xz);
         float planarDistanceFade = sat01(1.0 - distanceToCamera * 0.00022);
         float planarWeight = uReflectionStrength * planarDistanceFade * reflectionInside;
@@ -217,19 +706,22 @@ export const createOceanMaterial = ({ displacementMap, normalMap, simSize }) =>
 
         float fresnel = sat01(0.02 + 0.98 * pow(1.0 - NdotV, 5.0));
         vec3 waterColor = mix(refractedColor, reflectedColor, fresnel);
-        float glitterNoise = valueNoise2D(vWorldPosition.xz * 2.7 + vec2(uTime * 0.3, -uTime * 0.24));
+        float glitterNoise = valueNoise2D(vWorldPosition.xz * ${WORLD_NOISE_FREQUENCIES[2].toFixed(2)} + vec2(uTime * 0.3, -uTime * 0.24));
         float glitter = smoothstep(0.86, 1.0, glitterNoise) * pow(NdotL, 3.0) * pow(1.0 - roughness, 1.5);
         vec3 forwardScatter = uSunColor * pow(sat01(dot(-V, L)), 6.0) * slope * uSunScatterStrength;
         waterColor += specular + uSunColor * glitter * 0.06 + forwardScatter;
 
-        float crest = smoothstep(0.2, 0.65, slope + max(vDisplacedHeight, 0.0) * 0.03);
-        float foamNoiseLarge = valueNoise2D(vWorldPosition.xz * uFoamScale + vec2(uTime * 0.08, -uTime * 0.05));
-        float foamNoiseFine = valueNoise2D(vWorldPosition.xz * (uFoamScale * 3.4) + vec2(-uTime * 0.13, uTime * 0.11));
-        float foamPattern = foamNoiseLarge * 0.68 + foamNoiseFine * 0.32;
-        float foamMask = crest * smoothstep(0.46, 0.9, foamPattern) * uFoamIntensity;
+        // Moonlight only shows as reflection: the lobe plus sparkles from facets that nearly mirror the moon, which
+        // together draw its glitter path towards the viewer.
+        vec3 moonHalf = normalize(V + uMoonDirection);
+        float moonGlitter = smoothstep(0.8, 1.0, glitterNoise) * pow(sat01(dot(N, moonHalf)), 48.0);
+        waterColor += (specularGGX(N, V, uMoonDirection, roughness) + moonGlitter * 0.5) * uMoonColor;
+
         waterColor = mix(waterColor, uFoamColor, sat01(foamMask));
 
-        float hazeFactor = 1.0 - exp(-distanceToCamera * uHazeDensity);
+        // A curved sea falls away from the view, so its haze follows the slant path through the air.
+        float hazeDistance = uPlanetRadius > 0.0 ? length(cameraPosition - vWorldPosition) : distanceToCamera;
+        float hazeFactor = 1.0 - exp(-hazeDistance * uHazeDensity);
         vec3 hazeColor = mix(uSkyHorizonColor, uSkyZenithColor, 0.2);
 
         vec3 finalColor = mix(waterColor, hazeColor, sat01(hazeFactor));
@@ -237,6 +729,7 @@ export const createOceanMaterial = ({ displacementMap, normalMap, simSize }) =>
         gl_FragColor = vec4(finalColor, 1.0);
       }
     `,
+    side: DoubleSide,
     transparent: false,
     depthWrite: true,
     depthTest: true,
@@ -245,3 +738,92 @@ export const createOceanMaterial = ({ displacementMap, normalMap, simSize }) =>
 
   return { material, uniforms };
 };
+
+// Screen-aligned quads for the underwater passes: each pixel finds where its ray crosses the near plane and compares that
+// point with the water height above it, so the waterline follows the waves across the lens.
+const createUnderwaterPassMaterial = ({ uniforms, cascadeCount, clipDepth, fragmentMain }) =>
+  new ShaderMaterial({
+    uniforms,
+    vertexShader: `
+      precision highp float;
+
+      uniform mat4 uCameraMatrixWorld;
+      uniform mat4 uInverseProjectionMatrix;
+
+      varying vec3 vNearPosition;
+
+      void main() {
+        vec4 nearView = uInverseProjectionMatrix * vec4(position.xy, -1.0, 1.0);
+        vNearPosition = (uCameraMatrixWorld * vec4(nearView.xyz / nearView.w, 1.0)).xyz;
+
+        gl_Position = vec4(position.xy, ${clipDepth.toFixed(1)}, 1.0);
+      }
+    `,
+    fragmentShader: `
+      precision highp float;
+
+      #define CASCADE_COUNT ${cascadeCount}
+
+      uniform vec3 uUnderwaterColor;
+      uniform float uWaterlineWidth;
+
+      varying vec3 vNearPosition;
+
+      ${createDisplacementChunk(cascadeCount)}
+
+      // One fixed-point step undoes most of the horizontal displacement, so choppy crests line up with the surface mesh.
+      float waterlineOffset(vec3 point) {
+        float viewDistance = length(cameraPosition.xz - point.xz);
+        float waterDepth = sampleWaterDepth(point.xz);
+        vec3 displacement = sampleOceanDisplacement(point.xz, viewDistance, waterDepth);
+        displacement = sampleOceanDisplacement(point.xz - displacement.xz, viewDistance, waterDepth);
+        return point.y - displacement.y;
+      }
+
+      void main() {
+        float offset = waterlineOffset(vNearPosition);
+        ${fragmentMain}
+      }
+    `,
+    depthWrite: false,
+  });
+
+export const createUnderwaterMaterials = ({ uniforms, cascadeCount }) => {
+  const passUniforms = {
+    ...uniforms,
+    uCameraMatrixWorld: { value: new Matrix4() },
+    uInverseProjectionMatrix: { value: new Matrix4() },
+    uWaterlineWidth: { value: 0.003 },
+  };
+
+  // Drawn at the far plane after the opaque scene, it only fills pixels nothing else covered, through the submerged part
+  // of the lens.
+  const volumeMaterial = createUnderwaterPassMaterial({
+    uniforms: passUniforms,
+    cascadeCount,
+    clipDepth: 1.0,
+    fragmentMain: `
+        if (offset > 0.0) {
+          discard;
+        }
+
+        gl_FragColor = vec4(uUnderwaterColor, 1.0);
+    `,
+  });
+  volumeMaterial.name = 'OceanUnderwaterVolumeMaterial';
+
+  const waterlineMaterial = createUnderwaterPassMaterial({
+    uniforms: passUniforms,
+    cascadeCount,
+    clipDepth: 0.0,
+    fragmentMain: `
+        float meniscus = 1.0 - smoothstep(0.0, uWaterlineWidth, abs(offset));
+        gl_FragColor = vec4(uUnderwaterColor * 0.45, meniscus * 0.85);
+    `,
+  });
+  waterlineMaterial.name = 'OceanWaterlineMaterial';
+  waterlineMaterial.transparent = true;
+  waterlineMaterial.depthTest = false;
+
+  return { volumeMaterial, waterlineMaterial, uniforms: passUniforms };
+};
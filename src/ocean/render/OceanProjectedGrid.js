@@ -0,0 +1,105 @@
+import { Group, Mesh, PlaneGeometry, Vector3, Vector4 } from 'three';
+
+// Extra screen area (in NDC) covered past the frame edges, so crests displaced sideways or upwards do not open gaps.
+const SCREEN_MARGIN = 0.12;
+// Rows past the horizon are held at the far distance and fill the sliver that displaced crests lift above it.
+const HORIZON_MARGIN = 0.03;
+
+const forward = new Vector3();
+const cameraPosition = new Vector3();
+
+// NDC rectangle of the camera frame that sees the sea plane, as (xMin, yMin, xMax, yMax). Assumes a camera without
+// roll, whose horizon is a horizontal line on screen. From below the surface the rectangle is mirrored so the grid's
+// triangles face away from the camera, as the underside of the LOD rings does.
+export const computeProjectedGridRange = (camera, planeHeight = 0.0, target = new Vector4()) => {
+  camera.getWorldDirection(forward);
+  cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+
+  const horizontal = Math.hypot(forward.x, forward.z);
+  const horizonY = -(forward.y / horizontal) * camera.projectionMatrix.elements[5];
+  const edge = 1.0 + SCREEN_MARGIN;
+
+  if (cameraPosition.y >= planeHeight) {
+    return target.set(-edge, -edge, edge, Math.min(horizonY + HORIZON_MARGIN, edge));
+  }
+
+  return target.set(edge, Math.max(horizonY - HORIZON_MARGIN, -edge), -edge, edge);
+};
+
+// Screen-space grid cast onto the sea plane through the camera frustum each frame, giving uniform on-screen detail out
+// to the horizon. The vertex shader does the projection (see PROJECTED_GRID in OceanMaterial).
+export class OceanProjectedGrid {
+  constructor({ material, uniforms, columns = 256, rows = 384 }) {
+    this.group = new Group();
+    this.group.name = 'OceanProjectedGrid';
+
+    this.material = material;
+    this.uniforms = uniforms;
+    this.columns = columns;
+    this.rows = rows;
+    this.lodScale = 1.0;
+    this.stats = { patchesDrawn: 0, patchCount: 1, triangles: 0 };
+
+    this.mesh = new Mesh(this.#createGeometry(), material);
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = 1000;
+    this.group.add(this.mesh);
+  }
+
+  #createGeometry() {
+    const geometry = new PlaneGeometry(
+      1.0,
+      1.0,
+      Math.max(8, Math.round(this.columns / this.lodScale)),
+      Math.max(8, Math.round(this.rows / this.lodScale))
+    );
+    geometry.translate(0.5, 0.5, 0.0);
+
+    return geometry;
+  }
+
+  update(camera) {
+    const range = this.uniforms.uProjectedGridRange.value;
+    this.group.updateWorldMatrix(true, false);
+    const planeHeight = this.group.matrixWorld.elements[13];
+
+    computeProjectedGridRange(camera, planeHeight, range);
+    this.mesh.visible = range.w > range.y;
+    this.stats.patchesDrawn = this.mesh.visible ? 1 : 0;
+    this.stats.triangles = this.mesh.visible ? this.mesh.geometry.index.count / 3 : 0;
+
+    this.uniforms.uProjectorMatrix.value.multiplyMatrices(camera.matrixWorld, camera.projectionMatrixInverse);
+    this.uniforms.uProjectedGridMaxDistance.value = camera.far;
+  }
+
+  // Above 1 the grid coarsens, as larger LOD cells do on the rings.
+  setLodScale(scale) {
+    const clamped = Math.max(0.5, Math.min(2.5, scale));
+
+    if (clamped === this.lodScale) {
+      return;
+    }
+
+    this.lodScale = clamped;
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = this.#createGeometry();
+  }
+
+  // The grid only ever covers the view, so there is nothing to cull.
+  setDisplacementBound() {}
+
+  // Curvature is applied after the projection and only moves points further down the view, so coverage is unchanged.
+  setPlanetRadius() {}
+
+  // Vertices follow the camera continuously rather than a world lattice, so a rebase needs nothing here.
+  setOriginOffset() {}
+
+  getStats() {
+    return this.stats;
+  }
+
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.group.remove(this.mesh);
+  }
+}
@@ -0,0 +1,44 @@
+import { PerspectiveCamera } from 'three';
+import { describe, expect, it } from 'vitest';
+import { computeProjectedGridRange } from './OceanProjectedGrid';
+
+const createCamera = (height, pitchDegrees) => {
+  const camera = new PerspectiveCamera(60, 16 / 9, 0.1, 180000);
+  camera.position.set(0.0, height, 0.0);
+  camera.rotation.set((pitchDegrees * Math.PI) / 180.0, 0.0, 0.0);
+  camera.updateMatrixWorld();
+
+  return camera;
+};
+
+describe('computeProjectedGridRange', () => {
+  it('ends the grid at the horizon for a level camera', () => {
+    const range = computeProjectedGridRange(createCamera(20.0, 0.0));
+
+    expect(range.x).toBeLessThan(-1.0);
+    expect(range.z).toBeGreaterThan(1.0);
+    expect(range.y).toBeLessThan(-1.0);
+    expect(range.w).toBeGreaterThan(0.0);
+    expect(range.w).toBeLessThan(0.1);
+  });
+
+  it('covers the whole frame when looking down at the sea', () => {
+    const range = computeProjectedGridRange(createCamera(50.0, -60.0));
+
+    expect(range.w).toBeGreaterThan(1.0);
+  });
+
+  it('leaves nothing to draw when looking straight up from above', () => {
+    const range = computeProjectedGridRange(createCamera(50.0, 89.0));
+
+    expect(range.w).toBeLessThan(range.y);
+  });
+
+  it('mirrors the grid below the surface so it is seen from behind', () => {
+    const range = computeProjectedGridRange(createCamera(-5.0, 20.0));
+
+    expect(range.x).toBeGreaterThan(range.z);
+    expect(range.y).toBeLessThan(0.0);
+    expect(range.w).toBeGreaterThan(1.0);
+  });
+});
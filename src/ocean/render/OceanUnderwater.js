@@ -0,0 +1,46 @@
+import { Group, Mesh, PlaneGeometry } from 'three';
+import { createUnderwaterMaterials } from './OceanMaterial';
+
+// The near plane can only dip below the surface when the camera is this close above the water under it.
+const NEAR_WATER_MARGIN = 3.0;
+const WATERLINE_WIDTH_SCALE = 0.03;
+
+// Fills the water volume behind everything seen from below the surface and draws the meniscus where the surface crosses
+// the lens, so a half-submerged camera splits cleanly into the two views.
+export class OceanUnderwater {
+  constructor({ uniforms, cascadeCount }) {
+    const { volumeMaterial, waterlineMaterial, uniforms: passUniforms } = createUnderwaterMaterials({ uniforms, cascadeCount });
+
+    this.uniforms = passUniforms;
+    this.geometry = new PlaneGeometry(2, 2);
+
+    this.volume = new Mesh(this.geometry, volumeMaterial);
+    this.volume.frustumCulled = false;
+    // After the sky and other opaque objects, before the ocean rings.
+    this.volume.renderOrder = 1;
+
+    this.waterline = new Mesh(this.geometry, waterlineMaterial);
+    this.waterline.frustumCulled = false;
+    this.waterline.renderOrder = 2000;
+
+    this.group = new Group();
+    this.group.name = 'OceanUnderwater';
+    this.group.add(this.volume, this.waterline);
+  }
+
+  update(camera, cameraWaterHeight) {
+    camera.updateMatrixWorld();
+
+    this.uniforms.uCameraMatrixWorld.value.copy(camera.matrixWorld);
+    this.uniforms.uInverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+    this.uniforms.uWaterlineWidth.value = camera.near * WATERLINE_WIDTH_SCALE;
+
+    this.group.visible = camera.position.y < cameraWaterHeight + NEAR_WATER_MARGIN;
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.volume.material.dispose();
+    this.waterline.material.dispose();
+  }
+}
@@ -79,6 +79,8 @@ export class PlanarReflectionPass {
     this.mirrorWorldPosition.setFromMatrixPosition(this.oceanRoot.matrixWorld);
     this.cameraWorldPosition.setFromMatrixPosition(this.camera.matrixWorld);
 
+    // With earth curvature on the sea still touches this plane under the camera, and the ocean shader looks reflections up
+    // at the uncurved surface position, so the mirror stays the tangent plane.
     this.rotationMatrix.extractRotation(this.oceanRoot.matrixWorld);
 
     this.normal.set(0, 1, 0);
@@ -0,0 +1,82 @@
+import { DepthTexture, HalfFloatType, LinearFilter, WebGLRenderTarget } from 'three';
+
+// Opaque pre-pass: renders the scene without the ocean from the main camera into colour + depth, so the surface can
+// refract whatever lies beneath it. Colour stays linear HDR; the ocean shader tone maps it like the main render.
+export class RefractionPass {
+  constructor({ renderer, scene, camera, oceanRoot, resolutionScale = 1.0 }) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.oceanRoot = oceanRoot;
+
+    this.resolutionScale = resolutionScale;
+    this.enabled = true;
+
+    const initialWidth = Math.max(1, Math.floor(window.innerWidth * resolutionScale));
+    const initialHeight = Math.max(1, Math.floor(window.innerHeight * resolutionScale));
+
+    this.renderTarget = new WebGLRenderTarget(initialWidth, initialHeight, {
+      type: HalfFloatType,
+      minFilter: LinearFilter,
+      magFilter: LinearFilter,
+      depthTexture: new DepthTexture(initialWidth, initialHeight),
+    });
+  }
+
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+  }
+
+  resize(width, height) {
+    this.renderTarget.setSize(
+      Math.max(1, Math.floor(width * this.resolutionScale)),
+      Math.max(1, Math.floor(height * this.resolutionScale))
+    );
+  }
+
+  update({ oceanUniforms }) {
+    if (oceanUniforms) {
+      oceanUniforms.uScreenRefractionEnabled.value = 0.0;
+    }
+
+    if (!this.enabled || !this.oceanRoot || !this.oceanRoot.visible) {
+      return;
+    }
+
+    const currentRenderTarget = this.renderer.getRenderTarget();
+    const currentXrEnabled = this.renderer.xr.enabled;
+    const currentShadowAutoUpdate = this.renderer.shadowMap.autoUpdate;
+
+    this.oceanRoot.visible = false;
+
+    this.renderer.xr.enabled = false;
+    this.renderer.shadowMap.autoUpdate = false;
+
+    this.renderer.setRenderTarget(this.renderTarget);
+    this.renderer.state.buffers.depth.setMask(true);
+
+    if (this.renderer.autoClear === false) {
+      this.renderer.clear();
+    }
+
+    this.renderer.render(this.scene, this.camera);
+
+    this.oceanRoot.visible = true;
+    this.renderer.xr.enabled = currentXrEnabled;
+    this.renderer.shadowMap.autoUpdate = currentShadowAutoUpdate;
+    this.renderer.setRenderTarget(currentRenderTarget);
+
+    if (oceanUniforms) {
+      oceanUniforms.uRefractionMap.value = this.renderTarget.texture;
+      oceanUniforms.uRefractionDepthMap.value = this.renderTarget.depthTexture;
+      oceanUniforms.uCameraNear.value = this.camera.near;
+      oceanUniforms.uCameraFar.value = this.camera.far;
+      oceanUniforms.uScreenRefractionEnabled.value = 1.0;
+    }
+  }
+
+  dispose() {
+    this.renderTarget.depthTexture.dispose();
+    this.renderTarget.dispose();
+  }
+}
@@ -0,0 +1,131 @@
+import { DataUtils, FloatType } from 'three';
+
+const wrapIndex = (index, size) => ((index % size) + size) % size;
+
+export class DisplacementReadback {
+  constructor(renderer, { resolution, interval = 4 } = {}) {
+    this.renderer = renderer;
+    this.resolution = resolution;
+    this.interval = Math.max(1, Math.floor(interval));
+
+    this.data = new Float32Array(resolution * resolution * 4);
+    // Largest horizontal and vertical displacement in the latest snapshot.
+    this.maxHorizontal = 0.0;
+    this.maxVertical = 0.0;
+    this.snapshotTime = 0.0;
+    this.ready = false;
+    this.pending = false;
+    this.disposed = false;
+    // Set once a read is rejected (no float readback in this context); queries then use their fallback for good.
+    this.failed = false;
+    this.framesSinceRequest = this.interval;
+
+    this.halfFloatBuffer = null;
+    this.floatBuffer = null;
+  }
+
+  #getBuffer(type) {
+    const length = this.resolution * this.resolution * 4;
+
+    if (type === FloatType) {
+      this.floatBuffer = this.floatBuffer || new Float32Array(length);
+      return this.floatBuffer;
+    }
+
+    this.halfFloatBuffer = this.halfFloatBuffer || new Uint16Array(length);
+    return this.halfFloatBuffer;
+  }
+
+  #store(pixels, time) {
+    if (pixels instanceof Uint16Array) {
+      for (let i = 0; i < pixels.length; i += 1) {
+        this.data[i] = DataUtils.fromHalfFloat(pixels[i]);
+      }
+    } else {
+      this.data.set(pixels);
+    }
+
+    let maxHorizontal = 0.0;
+    let maxVertical = 0.0;
+
+    for (let i = 0; i < this.data.length; i += 4) {
+      maxHorizontal = Math.max(maxHorizontal, Math.hypot(this.data[i], this.data[i + 2]));
+      maxVertical = Math.max(maxVertical, Math.abs(this.data[i + 1]));
+    }
+
+    this.maxHorizontal = maxHorizontal;
+    this.maxVertical = maxVertical;
+
+    this.snapshotTime = time;
+    this.ready = true;
+  }
+
+  update(renderTarget, time) {
+    this.framesSinceRequest += 1;
+
+    if (this.disposed || this.failed || this.pending || this.framesSinceRequest < this.interval) {
+      return;
+    }
+
+    if (typeof this.renderer.readRenderTargetPixelsAsync !== 'function') {
+      return;
+    }
+
+    this.framesSinceRequest = 0;
+    this.pending = true;
+
+    const buffer = this.#getBuffer(renderTarget.texture.type);
+
+    this.renderer
+      .readRenderTargetPixelsAsync(renderTarget, 0, 0, this.resolution, this.resolution, buffer)
+      .then((pixels) => {
+        if (!this.disposed && pixels) {
+          this.#store(pixels, time);
+        }
+      })
+      .catch(() => {
+        this.failed = true;
+        this.ready = false;
+      })
+      .finally(() => {
+        this.pending = false;
+      });
+  }
+
+  sample(u, v, target) {
+    const x = u * this.resolution - 0.5;
+    const y = v * this.resolution - 0.5;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    const column0 = wrapIndex(x0, this.resolution);
+    const column1 = wrapIndex(x0 + 1, this.resolution);
+    const row0 = wrapIndex(y0, this.resolution) * this.resolution;
+    const row1 = wrapIndex(y0 + 1, this.resolution) * this.resolution;
+
+    const i00 = (row0 + column0) * 4;
+    const i10 = (row0 + column1) * 4;
+    const i01 = (row1 + column0) * 4;
+    const i11 = (row1 + column1) * 4;
+
+    const w00 = (1.0 - fx) * (1.0 - fy);
+    const w10 = fx * (1.0 - fy);
+    const w01 = (1.0 - fx) * fy;
+    const w11 = fx * fy;
+
+    const { data } = this;
+
+    return target.set(
+      data[i00] * w00 + data[i10] * w10 + data[i01] * w01 + data[i11] * w11,
+      data[i00 + 1] * w00 + data[i10 + 1] * w10 + data[i01 + 1] * w01 + data[i11 + 1] * w11,
+      data[i00 + 2] * w00 + data[i10 + 2] * w10 + data[i01 + 2] * w01 + data[i11 + 2] * w11
+    );
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.ready = false;
+  }
+}
@@ -0,0 +1,203 @@
+import {
+  AdditiveBlending,
+  Color,
+  HalfFloatType,
+  LinearFilter,
+  MathUtils,
+  Mesh,
+  OrthographicCamera,
+  PlaneGeometry,
+  RepeatWrapping,
+  RGBAFormat,
+  Scene,
+  ShaderMaterial,
+  UniformsUtils,
+  Vector2,
+  Vector3,
+  WebGLRenderTarget,
+} from 'three';
+import { CausticsShaders } from './causticsShaders';
+
+const WATER_IOR = 1.333;
+// Light that has refracted further than this (in tiles) is clamped, and the grid overlaps the tile by the same margin
+// so light bent across a tile edge wraps around.
+const MAX_DEVIATION = 0.1;
+
+// Direction of sunlight after refracting through a flat surface, pointing down into the water.
+export const computeFlatRefraction = (sunDirection, target = new Vector3()) => {
+  const incident = target.copy(sunDirection).normalize().negate();
+  const eta = 1.0 / WATER_IOR;
+  const cosIncident = -incident.y;
+  const k = 1.0 - eta * eta * (1.0 - cosIncident * cosIncident);
+
+  return incident.multiplyScalar(eta).setY(incident.y + eta * cosIncident - Math.sqrt(Math.max(k, 0.0))).normalize();
+};
+
+const causticsVertexChunk = `
+  vec4 causticsWorldPosition = vec4(transformed, 1.0);
+  #ifdef USE_INSTANCING
+    causticsWorldPosition = instanceMatrix * causticsWorldPosition;
+  #endif
+  vCausticsWorldPosition = (modelMatrix * causticsWorldPosition).xyz;
+`;
+
+// Light reaching a point below the surface entered the water up-sun along the flat refracted ray; focused light fades in
+// over the first half of the focus depth and is absorbed with depth.
+const causticsFragmentChunk = `
+  float causticsDepth = uCausticsWaterLevel - vCausticsWorldPosition.y;
+
+  if (causticsDepth > 0.0) {
+    vec2 causticsEntry = vCausticsWorldPosition.xz - uCausticsRefraction.xz * (causticsDepth / max(-uCausticsRefraction.y, 0.05));
+    float caustic = texture2D(uCausticsMap, causticsEntry / uCausticsTileSize + uCausticsOffset).r;
+    float causticsFacing = saturate(dot(inverseTransformDirection(normal, viewMatrix), -uCausticsRefraction));
+    float causticsFade = smoothstep(0.0, uCausticsFocusDepth * 0.5, causticsDepth) * exp(-causticsDepth * uCausticsAttenuation);
+
+    reflectedLight.directDiffuse += BRDF_Lambert(diffuseColor.rgb) * uCausticsLight * caustic * causticsFacing * causticsFade;
+  }
+`;
+
+// Caustics from the finest FFT cascade, rendered once per frame into a tiling texture that standard materials sample.
+export class OceanCaustics {
+  constructor(renderer, { resolution = 512, gridResolution = 256, focusDepth = 3.0, strength = 0.35, attenuation = 0.06 } = {}) {
+    this.renderer = renderer;
+    this.strength = strength;
+    // Nothing is rendered until a material or caller asks for the texture.
+    this.active = false;
+
+    this.scene = new Scene();
+    this.camera = new OrthographicCamera(-1, 1, 1, -1, 0.1, 10);
+    this.camera.position.z = 1;
+
+    const causticsShader = CausticsShaders.caustics;
+    this.material = new ShaderMaterial({
+      uniforms: UniformsUtils.clone(causticsShader.uniforms),
+      vertexShader: causticsShader.vertexShader,
+      fragmentShader: causticsShader.fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+      blending: AdditiveBlending,
+    });
+    this.material.name = 'OceanCaustics_Grid';
+    this.material.uniforms.u_focusDepth.value = focusDepth;
+    this.material.uniforms.u_maxDeviation.value = MAX_DEVIATION;
+
+    const gridSize = 1.0 + MAX_DEVIATION * 2.0;
+    const gridSegments = Math.round(gridResolution * gridSize);
+    const geometry = new PlaneGeometry(gridSize, gridSize, gridSegments, gridSegments);
+    geometry.translate(0.5, 0.5, 0.0);
+
+    this.grid = new Mesh(geometry, this.material);
+    this.grid.frustumCulled = false;
+    this.scene.add(this.grid);
+
+    this.renderTarget = new WebGLRenderTarget(resolution, resolution, {
+      minFilter: LinearFilter,
+      magFilter: LinearFilter,
+      wrapS: RepeatWrapping,
+      wrapT: RepeatWrapping,
+      format: RGBAFormat,
+      type: HalfFloatType,
+      depthBuffer: false,
+      stencilBuffer: false,
+    });
+
+    // Shared with every patched material, so updates reach them without recompiling.
+    this.uniforms = {
+      uCausticsMap: { value: this.renderTarget.texture },
+      uCausticsTileSize: { value: 31.3 },
+      // Scene origin within the tile, as uCascadeOffsets in OceanMaterial.
+      uCausticsOffset: { value: new Vector2() },
+      uCausticsRefraction: { value: new Vector3(0.0, -1.0, 0.0) },
+      uCausticsLight: { value: new Color(0x000000) },
+      uCausticsFocusDepth: { value: focusDepth },
+      uCausticsAttenuation: { value: attenuation },
+      uCausticsWaterLevel: { value: 0.0 },
+    };
+  }
+
+  setStrength(strength) {
+    this.strength = Math.max(0.0, strength);
+  }
+
+  // sunIntensity is the directional light intensity, so caustics dim with the sun like the rest of the lit scene.
+  update({ normalMap, cascadeSize, sunDirection, sunColor, sunIntensity = 1.0, originOffset = null }) {
+    if (!this.active) {
+      return;
+    }
+
+    const uniforms = this.material.uniforms;
+
+    computeFlatRefraction(sunDirection, this.uniforms.uCausticsRefraction.value);
+    uniforms.u_normalMap.value = normalMap;
+    uniforms.u_cascadeSize.value = cascadeSize;
+    uniforms.u_lightDirection.value.copy(sunDirection).normalize().negate();
+    uniforms.u_flatRefraction.value.copy(this.uniforms.uCausticsRefraction.value);
+
+    this.uniforms.uCausticsTileSize.value = cascadeSize;
+
+    if (originOffset) {
+      this.uniforms.uCausticsOffset.value.set(
+        MathUtils.euclideanModulo(originOffset.x, cascadeSize) / cascadeSize,
+        MathUtils.euclideanModulo(originOffset.z, cascadeSize) / cascadeSize
+      );
+    }
+
+    this.uniforms.uCausticsLight.value.copy(sunColor).multiplyScalar(sunIntensity * this.strength * Math.max(sunDirection.y, 0.0));
+
+    const currentRenderTarget = this.renderer.getRenderTarget();
+    this.renderer.setRenderTarget(this.renderTarget);
+    this.renderer.clear();
+    this.renderer.render(this.scene, this.camera);
+    this.renderer.setRenderTarget(currentRenderTarget);
+  }
+
+  getTexture() {
+    this.active = true;
+    return this.renderTarget.texture;
+  }
+
+  // Adds caustics to the direct diffuse light of a MeshStandardMaterial (or MeshPhysicalMaterial) below the water.
+  applyToMaterial(material) {
+    const previousOnBeforeCompile = material.onBeforeCompile;
+    const previousCacheKey = material.customProgramCacheKey;
+
+    material.onBeforeCompile = (shader, renderer) => {
+      previousOnBeforeCompile.call(material, shader, renderer);
+      Object.assign(shader.uniforms, this.uniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nvarying vec3 vCausticsWorldPosition;')
+        .replace('#include <worldpos_vertex>', `#include <worldpos_vertex>\n${causticsVertexChunk}`);
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace(
+          '#include <common>',
+          [
+            '#include <common>',
+            'varying vec3 vCausticsWorldPosition;',
+            'uniform sampler2D uCausticsMap;',
+            'uniform float uCausticsTileSize;',
+            'uniform vec2 uCausticsOffset;',
+            'uniform vec3 uCausticsRefraction;',
+            'uniform vec3 uCausticsLight;',
+            'uniform float uCausticsFocusDepth;',
+            'uniform float uCausticsAttenuation;',
+            'uniform float uCausticsWaterLevel;',
+          ].join('\n')
+        )
+        .replace('#include <lights_fragment_end>', `#include <lights_fragment_end>\n${causticsFragmentChunk}`);
+    };
+
+    material.customProgramCacheKey = () => `${previousCacheKey.call(material)}|ocean-caustics`;
+    material.needsUpdate = true;
+    this.active = true;
+
+    return material;
+  }
+
+  dispose() {
+    this.grid.geometry.dispose();
+    this.material.dispose();
+    this.renderTarget.dispose();
+  }
+}
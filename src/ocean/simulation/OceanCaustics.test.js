@@ -0,0 +1,88 @@
+import { Color, Vector3 } from 'three';
+import { describe, expect, it } from 'vitest';
+import { computeFlatRefraction, OceanCaustics } from './OceanCaustics';
+
+const createRenderer = () => {
+  const renderer = {
+    renders: 0,
+    getRenderTarget: () => null,
+    setRenderTarget: () => {},
+    clear: () => {},
+    render: () => {
+      renderer.renders += 1;
+    },
+  };
+
+  return renderer;
+};
+
+describe('OceanCaustics', () => {
+  it('refracts an overhead sun straight down', () => {
+    const refracted = computeFlatRefraction(new Vector3(0.0, 1.0, 0.0));
+
+    expect(refracted.x).toBeCloseTo(0.0);
+    expect(refracted.y).toBeCloseTo(-1.0);
+    expect(refracted.z).toBeCloseTo(0.0);
+  });
+
+  it('bends a low sun towards the normal following Snell', () => {
+    const elevation = (20.0 * Math.PI) / 180.0;
+    const sunDirection = new Vector3(Math.cos(elevation), Math.sin(elevation), 0.0);
+    const refracted = computeFlatRefraction(sunDirection);
+
+    const sinIncident = Math.cos(elevation);
+    const sinRefracted = Math.hypot(refracted.x, refracted.z);
+
+    expect(refracted.length()).toBeCloseTo(1.0);
+    expect(refracted.y).toBeLessThan(0.0);
+    expect(refracted.x).toBeLessThan(0.0);
+    expect(sinIncident / sinRefracted).toBeCloseTo(1.333, 3);
+  });
+
+  it('only renders once a material or caller needs the texture', () => {
+    const renderer = createRenderer();
+    const caustics = new OceanCaustics(renderer, { resolution: 16, gridResolution: 8 });
+    const frame = {
+      normalMap: null,
+      cascadeSize: 31.3,
+      sunDirection: new Vector3(0.3, 0.8, 0.1).normalize(),
+      sunColor: new Color(1.0, 0.9, 0.8),
+      sunIntensity: 4.0,
+    };
+
+    caustics.update(frame);
+    expect(renderer.renders).toBe(0);
+
+    caustics.getTexture();
+    caustics.update(frame);
+    expect(renderer.renders).toBe(1);
+    expect(caustics.uniforms.uCausticsTileSize.value).toBe(31.3);
+
+    caustics.dispose();
+  });
+
+  it('injects the caustics term into standard material shaders', () => {
+    const caustics = new OceanCaustics(createRenderer(), { resolution: 16, gridResolution: 8 });
+    const material = caustics.applyToMaterial({
+      onBeforeCompile: () => {},
+      customProgramCacheKey() {
+        return 'base';
+      },
+    });
+    const shader = {
+      uniforms: {},
+      vertexShader: '#include <common>\n#include <worldpos_vertex>',
+      fragmentShader: '#include <common>\n#include <lights_fragment_end>',
+    };
+
+    material.onBeforeCompile(shader);
+
+    expect(shader.uniforms.uCausticsMap).toBe(caustics.uniforms.uCausticsMap);
+    expect(shader.vertexShader).toContain('vCausticsWorldPosition =');
+    expect(shader.fragmentShader).toContain('uniform sampler2D uCausticsMap;');
+    expect(shader.fragmentShader).toContain('reflectedLight.directDiffuse +=');
+    expect(material.customProgramCacheKey()).toBe('base|ocean-caustics');
+
+    caustics.dispose();
+  });
+});
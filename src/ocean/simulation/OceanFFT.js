@@ -17,7 +17,8 @@ import {
   Vector2,
   WebGLRenderTarget,
 } from 'three';
-import { FFTShaders } from './fftShaders';
+import { FFTShaders, MAX_SWELL_COMPONENTS, SPECTRUM_MODELS, WAVE_REPEAT_PERIOD } from './fftShaders';
+import { createSeededRandom, deriveSeed, normalizeSeed } from './seededRandom';
 
 const ensurePowerOfTwo = (value) => {
   const integerValue = Math.max(2, Math.floor(value));
@@ -31,18 +32,122 @@ const ensurePowerOfTwo = (value) => {
 
 const optionalParameter = (value, defaultValue) => (value !== undefined ? value : defaultValue);
 
+export const DEFAULT_SPECTRUM_PARAMS = {
+  phillipsAmplitude: 1.0,
+  phillipsCutoff: 0.5,
+  jonswapGamma: 3.3,
+  jonswapSigmaA: 0.07,
+  jonswapSigmaB: 0.09,
+  waterDepth: 500.0,
+  elfouhailyGamma: 1.7,
+  windSeaSpreading: 6.0,
+};
+
+const GRAVITY = 9.81;
+const FULLY_DEVELOPED_INVERSE_WAVE_AGE = 0.84;
+const MAX_INVERSE_WAVE_AGE = 5.0;
+
+// Elfouhaily et al. (1997): inverse wave age from the dimensionless fetch gX / U^2.
+export const computeInverseWaveAge = (windSpeed, fetchLength) => {
+  const speed = Math.max(0.01, windSpeed);
+  const dimensionlessFetch = (GRAVITY * Math.max(1.0, fetchLength)) / (speed * speed);
+  const development = Math.tanh((dimensionlessFetch / 22000.0) ** 0.4);
+  return Math.min(MAX_INVERSE_WAVE_AGE, FULLY_DEVELOPED_INVERSE_WAVE_AGE * development ** -0.75);
+};
+
+// Each cascade hands its shortest waves to the next one a few fundamentals above that cascade's own lowest wavenumber.
+const CASCADE_BOUNDARY_FACTOR = 6.0;
+
+export const computeCascadeBands = (sizes, resolution) =>
+  sizes.map((size, index) => {
+    const nyquist = (Math.PI * resolution) / size;
+    const boundary = (cascadeIndex) =>
+      Math.min((CASCADE_BOUNDARY_FACTOR * 2.0 * Math.PI) / sizes[cascadeIndex + 1], (Math.PI * resolution) / sizes[cascadeIndex]);
+
+    return {
+      kMin: index === 0 ? 0.0 : boundary(index - 1),
+      kMax: index === sizes.length - 1 ? nyquist * 2.0 : boundary(index),
+    };
+  });
+
+const ensureCascadeSizes = (sizes) => {
+  if (!Array.isArray(sizes) || sizes.length < 1 || sizes.length > 4) {
+    throw new Error('Ocean FFT requires between 1 and 4 cascade sizes.');
+  }
+
+  for (let i = 1; i < sizes.length; i += 1) {
+    if (sizes[i] >= sizes[i - 1]) {
+      throw new Error('Ocean FFT cascade sizes must be strictly decreasing.');
+    }
+  }
+
+  return sizes.map((size) => Math.max(1.0, size));
+};
+
+export const DEFAULT_OCEAN_SEED = 1337;
+
+export const generateSeedPhases = (resolution, seed, cascadeIndex = 0) => {
+  const random = createSeededRandom(deriveSeed(seed, cascadeIndex));
+  const phaseArray = new Float32Array(resolution * resolution * 4);
+
+  for (let i = 0; i < resolution * resolution; i += 1) {
+    phaseArray[i * 4] = random() * Math.PI * 2.0;
+  }
+
+  return phaseArray;
+};
+
+// Coarse steps keep n * coarse exact in float32 for every cycle count n the dispersion can produce (n < 2^16).
+const TIME_CYCLE_STEPS = 256.0;
+
+export const computeTimeCycle = (time, target = new Vector2()) => {
+  const cycle = (((time % WAVE_REPEAT_PERIOD) + WAVE_REPEAT_PERIOD) % WAVE_REPEAT_PERIOD) / WAVE_REPEAT_PERIOD;
+  const coarse = Math.floor(cycle * TIME_CYCLE_STEPS) / TIME_CYCLE_STEPS;
+  return target.set(coarse, cycle - coarse);
+};
+
+export const DEFAULT_FOAM_PARAMS = {
+  threshold: 0.8,
+  injection: 2.0,
+  decay: 0.35,
+};
+
+// Larger time jumps (scrubbing, rewinding, stalled tabs) restart foam accumulation instead of integrating across the gap.
+const MAX_FOAM_STEP = 0.25;
+const FOAM_RESTART_STEP = 1.0 / 60.0;
+
+const ensureSpectrumModel = (model) => {
+  if (SPECTRUM_MODELS[model] === undefined) {
+    throw new Error(`Unknown ocean spectrum model: ${model}`);
+  }
+
+  return model;
+};
+
 export class OceanFFT {
   constructor(renderer, options = {}) {
     this.renderer = renderer;
     this.resolution = ensurePowerOfTwo(optionalParameter(options.resolution, 256));
-    this.size = optionalParameter(options.size, 1000.0);
+    this.cascadeSizes = ensureCascadeSizes(optionalParameter(options.cascadeSizes, [optionalParameter(options.size, 1000.0)]));
+    this.size = this.cascadeSizes[0];
+    this.cascadeBands = computeCascadeBands(this.cascadeSizes, this.resolution);
     this.choppiness = optionalParameter(options.choppiness, 1.6);
     this.windSpeed = optionalParameter(options.windSpeed, 12.0);
     this.windDirection = optionalParameter(options.windDirection, 0.0);
-    this.deltaTime = 1.0 / 60.0;
+    this.fetchLength = Math.max(1.0, optionalParameter(options.fetchLength, 2000000.0));
+    this.spectrumModel = ensureSpectrumModel(optionalParameter(options.spectrumModel, 'elfouhaily'));
+    this.spectrumParams = { ...DEFAULT_SPECTRUM_PARAMS };
+    this.swellComponents = [];
+    this.seed = normalizeSeed(optionalParameter(options.seed, DEFAULT_OCEAN_SEED));
+    this.time = optionalParameter(options.time, 0.0);
+    this.foamTime = null;
+    this.foamParams = { ...DEFAULT_FOAM_PARAMS };
 
     this.windVector = new Vector2();
     this.setWind(this.windSpeed, this.windDirection);
+    this.setSpectrum(this.spectrumModel, options.spectrumParams);
+    this.setSwellComponents(optionalParameter(options.swellComponents, []));
+    this.setFoam(optionalParameter(options.foam, {}));
 
     this.simulationScene = new Scene();
     this.simulationCamera = new OrthographicCamera(-1, 1, 1, -1, 0.1, 10);
@@ -50,13 +155,11 @@ export class OceanFFT {
     this.simulationQuad = new Mesh(new PlaneGeometry(2, 2));
     this.simulationScene.add(this.simulationQuad);
 
-    this.initialized = false;
     this.needsSpectrumInit = true;
-    this.pingPhase = true;
 
     this.#setupRenderTargets(options.useHalfFloat);
     this.#setupMaterials();
-    this.#generateSeedPhaseTexture();
+    this.#resetPhases();
   }
 
   #setupRenderTargets(forceHalfFloat = true) {
@@ -95,14 +198,19 @@ export class OceanFFT {
       type: renderTargetType,
     };
 
-    this.initialSpectrumFramebuffer = new WebGLRenderTarget(this.resolution, this.resolution, nearestRepeatParams);
-    this.spectrumFramebuffer = new WebGLRenderTarget(this.resolution, this.resolution, nearestClampParams);
-    this.pingPhaseFramebuffer = new WebGLRenderTarget(this.resolution, this.resolution, nearestClampParams);
-    this.pongPhaseFramebuffer = new WebGLRenderTarget(this.resolution, this.resolution, nearestClampParams);
     this.pingTransformFramebuffer = new WebGLRenderTarget(this.resolution, this.resolution, nearestClampParams);
     this.pongTransformFramebuffer = new WebGLRenderTarget(this.resolution, this.resolution, nearestClampParams);
-    this.displacementMapFramebuffer = new WebGLRenderTarget(this.resolution, this.resolution, linearRepeatParams);
-    this.normalMapFramebuffer = new WebGLRenderTarget(this.resolution, this.resolution, linearRepeatParams);
+
+    this.cascades = this.cascadeSizes.map((size, index) => ({
+      index,
+      initialSpectrumFramebuffer: new WebGLRenderTarget(this.resolution, this.resolution, nearestRepeatParams),
+      spectrumFramebuffer: new WebGLRenderTarget(this.resolution, this.resolution, nearestClampParams),
+      displacementMapFramebuffer: new WebGLRenderTarget(this.resolution, this.resolution, linearRepeatParams),
+      // Normals in rgb, accumulated foam in alpha; ping-pong so each frame can decay the previous foam.
+      normalMapFramebuffer: new WebGLRenderTarget(this.resolution, this.resolution, linearRepeatParams),
+      previousNormalMapFramebuffer: new WebGLRenderTarget(this.resolution, this.resolution, linearRepeatParams),
+      seedPhaseTexture: null,
+    }));
   }
 
   #setupMaterials() {
@@ -147,19 +255,6 @@ export class OceanFFT {
     this.materialInitialSpectrum.name = 'OceanFFT_InitialSpectrum';
     this.materialInitialSpectrum.uniforms.u_resolution.value = this.resolution;
 
-    const phaseShader = FFTShaders.phase;
-    const phaseUniforms = UniformsUtils.clone(phaseShader.uniforms);
-    this.materialPhase = new ShaderMaterial({
-      uniforms: phaseUniforms,
-      vertexShader: fullScreenShader.vertexShader,
-      fragmentShader: phaseShader.fragmentShader,
-      depthTest: false,
-      depthWrite: false,
-      blending: NoBlending,
-    });
-    this.materialPhase.name = 'OceanFFT_Phase';
-    this.materialPhase.uniforms.u_resolution.value = this.resolution;
-
     const spectrumShader = FFTShaders.spectrum;
     const spectrumUniforms = UniformsUtils.clone(spectrumShader.uniforms);
     this.materialSpectrum = new ShaderMaterial({
@@ -187,23 +282,38 @@ export class OceanFFT {
     this.materialNormal.uniforms.u_resolution.value = this.resolution;
   }
 
-  #generateSeedPhaseTexture() {
-    const phaseArray = new Float32Array(this.resolution * this.resolution * 4);
+  #generateSeedPhaseTexture(cascadeIndex) {
+    const phaseArray = generateSeedPhases(this.resolution, this.seed, cascadeIndex);
 
-    for (let i = 0; i < this.resolution; i += 1) {
-      for (let j = 0; j < this.resolution; j += 1) {
-        const idx = i * this.resolution * 4 + j * 4;
-        phaseArray[idx] = Math.random() * Math.PI * 2.0;
-        phaseArray[idx + 1] = 0.0;
-        phaseArray[idx + 2] = 0.0;
-        phaseArray[idx + 3] = 0.0;
+    const seedPhaseTexture = new DataTexture(phaseArray, this.resolution, this.resolution, RGBAFormat, FloatType);
+    seedPhaseTexture.wrapS = ClampToEdgeWrapping;
+    seedPhaseTexture.wrapT = ClampToEdgeWrapping;
+    seedPhaseTexture.needsUpdate = true;
+
+    return seedPhaseTexture;
+  }
+
+  #resetPhases() {
+    this.cascades.forEach((cascade) => {
+      if (cascade.seedPhaseTexture) {
+        cascade.seedPhaseTexture.dispose();
       }
+
+      cascade.seedPhaseTexture = this.#generateSeedPhaseTexture(cascade.index);
+    });
+
+    this.foamTime = null;
+  }
+
+  setSeed(seed) {
+    const nextSeed = normalizeSeed(seed);
+
+    if (nextSeed === this.seed) {
+      return;
     }
 
-    this.pingPhaseTexture = new DataTexture(phaseArray, this.resolution, this.resolution, RGBAFormat, FloatType);
-    this.pingPhaseTexture.wrapS = ClampToEdgeWrapping;
-    this.pingPhaseTexture.wrapT = ClampToEdgeWrapping;
-    this.pingPhaseTexture.needsUpdate = true;
+    this.seed = nextSeed;
+    this.#resetPhases();
   }
 
   setWind(speed, directionRadians) {
@@ -213,11 +323,64 @@ export class OceanFFT {
     this.needsSpectrumInit = true;
   }
 
-  setSize(size) {
-    this.size = Math.max(32.0, size);
+  setFetch(fetchLength) {
+    this.fetchLength = Math.max(1.0, fetchLength);
+    this.needsSpectrumInit = true;
+  }
+
+  getInverseWaveAge() {
+    return computeInverseWaveAge(this.windSpeed, this.fetchLength);
+  }
+
+  setSpectrum(model = this.spectrumModel, params = {}) {
+    this.spectrumModel = ensureSpectrumModel(model);
+
+    Object.keys(DEFAULT_SPECTRUM_PARAMS).forEach((key) => {
+      if (typeof params[key] === 'number') {
+        this.spectrumParams[key] = params[key];
+      }
+    });
+
+    this.spectrumParams.waterDepth = Math.max(0.5, this.spectrumParams.waterDepth);
+    this.spectrumParams.jonswapGamma = Math.max(1.0, this.spectrumParams.jonswapGamma);
+    this.needsSpectrumInit = true;
+  }
+
+  setSwellComponents(components) {
+    this.swellComponents = components
+      .filter((component) => component && component.enabled !== false)
+      .slice(0, MAX_SWELL_COMPONENTS)
+      .map((component) => ({
+        direction: optionalParameter(component.direction, 0.0),
+        peakPeriod: Math.max(1.0, optionalParameter(component.peakPeriod, 12.0)),
+        height: Math.max(0.0, optionalParameter(component.height, 1.0)),
+        spreading: Math.max(0.5, optionalParameter(component.spreading, 24.0)),
+      }));
+    this.needsSpectrumInit = true;
+  }
+
+  setCascadeSizes(sizes) {
+    if (sizes.length !== this.cascades.length) {
+      throw new Error('Changing the number of ocean cascades requires a new OceanFFT.');
+    }
+
+    this.cascadeSizes = ensureCascadeSizes(sizes);
+    this.size = this.cascadeSizes[0];
+    this.cascadeBands = computeCascadeBands(this.cascadeSizes, this.resolution);
     this.needsSpectrumInit = true;
   }
 
+  setSize(size) {
+    const scale = Math.max(32.0, size) / this.cascadeSizes[0];
+    this.setCascadeSizes(this.cascadeSizes.map((cascadeSize) => cascadeSize * scale));
+  }
+
+  setFoam({ threshold, injection, decay } = {}) {
+    if (typeof threshold === 'number') this.foamParams.threshold = threshold;
+    if (typeof injection === 'number') this.foamParams.injection = Math.max(0.0, injection);
+    if (typeof decay === 'number') this.foamParams.decay = Math.max(0.0, decay);
+  }
+
   setChoppiness(choppiness) {
     this.choppiness = Math.max(0.0, choppiness);
   }
@@ -226,49 +389,58 @@ export class OceanFFT {
     this.simulationScene.overrideMaterial = this.materialInitialSpectrum;
     this.simulationQuad.material = this.materialInitialSpectrum;
 
-    this.materialInitialSpectrum.uniforms.u_wind.value.copy(this.windVector);
-    this.materialInitialSpectrum.uniforms.u_size.value = this.size;
-
-    this.renderer.setRenderTarget(this.initialSpectrumFramebuffer);
-    this.renderer.clear();
-    this.renderer.render(this.simulationScene, this.simulationCamera);
-
-    this.needsSpectrumInit = false;
-  }
-
-  #renderWavePhase() {
-    this.simulationScene.overrideMaterial = this.materialPhase;
-    this.simulationQuad.material = this.materialPhase;
+    const initialSpectrumUniforms = this.materialInitialSpectrum.uniforms;
+    initialSpectrumUniforms.u_wind.value.copy(this.windVector);
+    initialSpectrumUniforms.u_inverseWaveAge.value = this.getInverseWaveAge();
+    initialSpectrumUniforms.u_spectrumModel.value = SPECTRUM_MODELS[this.spectrumModel];
+    initialSpectrumUniforms.u_phillipsAmplitude.value = this.spectrumParams.phillipsAmplitude;
+    initialSpectrumUniforms.u_phillipsCutoff.value = this.spectrumParams.phillipsCutoff;
+    initialSpectrumUniforms.u_jonswapGamma.value = this.spectrumParams.jonswapGamma;
+    initialSpectrumUniforms.u_jonswapSigmaA.value = this.spectrumParams.jonswapSigmaA;
+    initialSpectrumUniforms.u_jonswapSigmaB.value = this.spectrumParams.jonswapSigmaB;
+    initialSpectrumUniforms.u_waterDepth.value = this.spectrumParams.waterDepth;
+    initialSpectrumUniforms.u_elfouhailyGamma.value = this.spectrumParams.elfouhailyGamma;
+    initialSpectrumUniforms.u_windSeaSpreading.value = this.spectrumParams.windSeaSpreading;
+    initialSpectrumUniforms.u_swellCount.value = this.swellComponents.length;
+
+    this.swellComponents.forEach((component, index) => {
+      const offset = index * 4;
+      initialSpectrumUniforms.u_swells.value[offset] = Math.cos(component.direction);
+      initialSpectrumUniforms.u_swells.value[offset + 1] = Math.sin(component.direction);
+      initialSpectrumUniforms.u_swells.value[offset + 2] = (2.0 * Math.PI) / component.peakPeriod;
+      initialSpectrumUniforms.u_swells.value[offset + 3] = component.height;
+      initialSpectrumUniforms.u_swellSpreading.value[index] = component.spreading;
+    });
 
-    if (!this.initialized) {
-      this.materialPhase.uniforms.u_phases.value = this.pingPhaseTexture;
-      this.initialized = true;
-    } else {
-      this.materialPhase.uniforms.u_phases.value = this.pingPhase ? this.pingPhaseFramebuffer.texture : this.pongPhaseFramebuffer.texture;
-    }
+    this.cascades.forEach((cascade) => {
+      initialSpectrumUniforms.u_size.value = this.cascadeSizes[cascade.index];
+      initialSpectrumUniforms.u_kMin.value = this.cascadeBands[cascade.index].kMin;
+      initialSpectrumUniforms.u_kMax.value = this.cascadeBands[cascade.index].kMax;
 
-    this.materialPhase.uniforms.u_deltaTime.value = this.deltaTime;
-    this.materialPhase.uniforms.u_size.value = this.size;
+      this.renderer.setRenderTarget(cascade.initialSpectrumFramebuffer);
+      this.renderer.clear();
+      this.renderer.render(this.simulationScene, this.simulationCamera);
+    });
 
-    this.renderer.setRenderTarget(this.pingPhase ? this.pongPhaseFramebuffer : this.pingPhaseFramebuffer);
-    this.renderer.render(this.simulationScene, this.simulationCamera);
-    this.pingPhase = !this.pingPhase;
+    this.needsSpectrumInit = false;
   }
 
-  #renderSpectrum() {
+  #renderSpectrum(cascade) {
     this.simulationScene.overrideMaterial = this.materialSpectrum;
     this.simulationQuad.material = this.materialSpectrum;
 
-    this.materialSpectrum.uniforms.u_initialSpectrum.value = this.initialSpectrumFramebuffer.texture;
-    this.materialSpectrum.uniforms.u_phases.value = this.pingPhase ? this.pingPhaseFramebuffer.texture : this.pongPhaseFramebuffer.texture;
+    this.materialSpectrum.uniforms.u_initialSpectrum.value = cascade.initialSpectrumFramebuffer.texture;
+    this.materialSpectrum.uniforms.u_phases.value = cascade.seedPhaseTexture;
+    computeTimeCycle(this.time, this.materialSpectrum.uniforms.u_timeCycle.value);
     this.materialSpectrum.uniforms.u_choppiness.value = this.choppiness;
-    this.materialSpectrum.uniforms.u_size.value = this.size;
+    this.materialSpectrum.uniforms.u_waterDepth.value = this.spectrumParams.waterDepth;
+    this.materialSpectrum.uniforms.u_size.value = this.cascadeSizes[cascade.index];
 
-    this.renderer.setRenderTarget(this.spectrumFramebuffer);
+    this.renderer.setRenderTarget(cascade.spectrumFramebuffer);
     this.renderer.render(this.simulationScene, this.simulationCamera);
   }
 
-  #renderSpectrumFFT() {
+  #renderSpectrumFFT(cascade) {
     const iterations = Math.log2(this.resolution);
 
     this.simulationScene.overrideMaterial = this.materialOceanHorizontal;
@@ -278,7 +450,7 @@ export class OceanFFT {
       this.materialOceanHorizontal.uniforms.u_subtransformSize.value = 2 ** ((i % iterations) + 1);
 
       if (i === 0) {
-        this.materialOceanHorizontal.uniforms.u_input.value = this.spectrumFramebuffer.texture;
+        this.materialOceanHorizontal.uniforms.u_input.value = cascade.spectrumFramebuffer.texture;
         this.renderer.setRenderTarget(this.pingTransformFramebuffer);
       } else if (i % 2 === 1) {
         this.materialOceanHorizontal.uniforms.u_input.value = this.pingTransformFramebuffer.texture;
@@ -299,7 +471,7 @@ export class OceanFFT {
 
       if (i === iterations * 2 - 1) {
         this.materialOceanVertical.uniforms.u_input.value = iterations % 2 === 0 ? this.pingTransformFramebuffer.texture : this.pongTransformFramebuffer.texture;
-        this.renderer.setRenderTarget(this.displacementMapFramebuffer);
+        this.renderer.setRenderTarget(cascade.displacementMapFramebuffer);
       } else if (i % 2 === 1) {
         this.materialOceanVertical.uniforms.u_input.value = this.pingTransformFramebuffer.texture;
         this.renderer.setRenderTarget(this.pongTransformFramebuffer);
@@ -312,61 +484,102 @@ export class OceanFFT {
     }
   }
 
-  #renderNormalMap() {
+  #renderNormalMap(cascade) {
     this.simulationScene.overrideMaterial = this.materialNormal;
     this.simulationQuad.material = this.materialNormal;
 
-    this.materialNormal.uniforms.u_size.value = this.size;
-    this.materialNormal.uniforms.u_displacementMap.value = this.displacementMapFramebuffer.texture;
+    this.materialNormal.uniforms.u_size.value = this.cascadeSizes[cascade.index];
+    this.materialNormal.uniforms.u_displacementMap.value = cascade.displacementMapFramebuffer.texture;
+    this.materialNormal.uniforms.u_previousFoam.value = cascade.normalMapFramebuffer.texture;
 
-    this.renderer.setRenderTarget(this.normalMapFramebuffer);
+    this.renderer.setRenderTarget(cascade.previousNormalMapFramebuffer);
     this.renderer.clear();
     this.renderer.render(this.simulationScene, this.simulationCamera);
+
+    [cascade.normalMapFramebuffer, cascade.previousNormalMapFramebuffer] = [cascade.previousNormalMapFramebuffer, cascade.normalMapFramebuffer];
   }
 
-  update(deltaTime) {
+  #updateFoamStep() {
+    const normalUniforms = this.materialNormal.uniforms;
+    const elapsed = this.foamTime === null ? -1.0 : this.time - this.foamTime;
+    const continuous = elapsed >= 0.0 && elapsed <= MAX_FOAM_STEP;
+
+    normalUniforms.u_foamHistory.value = continuous ? 1.0 : 0.0;
+    normalUniforms.u_deltaTime.value = continuous ? elapsed : FOAM_RESTART_STEP;
+    normalUniforms.u_foamThreshold.value = this.foamParams.threshold;
+    normalUniforms.u_foamInjection.value = this.foamParams.injection;
+    normalUniforms.u_foamDecay.value = this.foamParams.decay;
+
+    this.foamTime = this.time;
+  }
+
+  // Phases are evaluated analytically, so the surface depends only on time, seed and parameters; only foam carries history.
+  setTime(time) {
     const currentRenderTarget = this.renderer.getRenderTarget();
-    this.deltaTime = Math.min(0.1, Math.max(1.0 / 240.0, deltaTime));
+    this.time = time;
 
     if (this.needsSpectrumInit) {
       this.#renderInitialSpectrum();
     }
 
-    this.#renderWavePhase();
-    this.#renderSpectrum();
-    this.#renderSpectrumFFT();
-    this.#renderNormalMap();
+    this.#updateFoamStep();
+
+    this.cascades.forEach((cascade) => {
+      this.#renderSpectrum(cascade);
+      this.#renderSpectrumFFT(cascade);
+      this.#renderNormalMap(cascade);
+    });
 
     this.simulationScene.overrideMaterial = null;
     this.renderer.setRenderTarget(currentRenderTarget);
   }
 
-  getDisplacementMap() {
-    return this.displacementMapFramebuffer.texture;
+  update(deltaTime) {
+    this.setTime(this.time + Math.min(0.1, Math.max(0.0, deltaTime)));
+  }
+
+  getCascadeCount() {
+    return this.cascades.length;
   }
 
-  getNormalMap() {
-    return this.normalMapFramebuffer.texture;
+  getDisplacementMap(cascadeIndex = 0) {
+    return this.cascades[cascadeIndex].displacementMapFramebuffer.texture;
+  }
+
+  getNormalMap(cascadeIndex = 0) {
+    return this.cascades[cascadeIndex].normalMapFramebuffer.texture;
+  }
+
+  getDisplacementMaps() {
+    return this.cascades.map((cascade) => cascade.displacementMapFramebuffer.texture);
+  }
+
+  getNormalMaps() {
+    return this.cascades.map((cascade) => cascade.normalMapFramebuffer.texture);
+  }
+
+  getDisplacementRenderTarget(cascadeIndex = 0) {
+    return this.cascades[cascadeIndex].displacementMapFramebuffer;
   }
 
   dispose() {
     this.simulationQuad.geometry.dispose();
 
-    this.initialSpectrumFramebuffer.dispose();
-    this.spectrumFramebuffer.dispose();
-    this.pingPhaseFramebuffer.dispose();
-    this.pongPhaseFramebuffer.dispose();
     this.pingTransformFramebuffer.dispose();
     this.pongTransformFramebuffer.dispose();
-    this.displacementMapFramebuffer.dispose();
-    this.normalMapFramebuffer.dispose();
 
-    this.pingPhaseTexture.dispose();
+    this.cascades.forEach((cascade) => {
+      cascade.initialSpectrumFramebuffer.dispose();
+      cascade.spectrumFramebuffer.dispose();
+      cascade.displacementMapFramebuffer.dispose();
+      cascade.normalMapFramebuffer.dispose();
+      cascade.previousNormalMapFramebuffer.dispose();
+      cascade.seedPhaseTexture.dispose();
+    });
 
     this.materialOceanHorizontal.dispose();
     this.materialOceanVertical.dispose();
     this.materialInitialSpectrum.dispose();
-    this.materialPhase.dispose();
     this.materialSpectrum.dispose();
     this.materialNormal.dispose();
   }
@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest';
+import { WAVE_REPEAT_PERIOD } from './fftShaders';
+import { QUALITY_PRESETS } from '../OceanSystem';
+import { OceanFFT, computeCascadeBands, computeInverseWaveAge, computeTimeCycle, generateSeedPhases } from './OceanFFT';
+
+describe('computeInverseWaveAge', () => {
+  it('approaches the fully developed value for long fetches', () => {
+    expect(computeInverseWaveAge(10.0, 1.0e8)).toBeCloseTo(0.84, 2);
+  });
+
+  it('produces younger seas for shorter fetches and stronger winds', () => {
+    const openOcean = computeInverseWaveAge(12.0, 800000.0);
+    const bay = computeInverseWaveAge(12.0, 5000.0);
+    const stormyBay = computeInverseWaveAge(25.0, 5000.0);
+
+    expect(bay).toBeGreaterThan(openOcean);
+    expect(stormyBay).toBeGreaterThan(bay);
+  });
+
+  it('stays within the range covered by the spectrum fits', () => {
+    expect(computeInverseWaveAge(30.0, 1.0)).toBe(5.0);
+    expect(computeInverseWaveAge(0.0, 1000.0)).toBeGreaterThanOrEqual(0.84);
+  });
+});
+
+describe('computeCascadeBands', () => {
+  it('splits the wavenumber axis into contiguous, non-overlapping bands', () => {
+    Object.values(QUALITY_PRESETS).forEach(({ cascadeSizes, fftResolution }) => {
+      const bands = computeCascadeBands(cascadeSizes, fftResolution);
+
+      expect(bands[0].kMin).toBe(0.0);
+
+      bands.forEach((band, index) => {
+        expect(band.kMax).toBeGreaterThan(band.kMin);
+
+        if (index > 0) {
+          expect(band.kMin).toBe(bands[index - 1].kMax);
+        }
+      });
+    });
+  });
+
+  it('keeps every band above its cascade fundamental and below its Nyquist limit', () => {
+    Object.values(QUALITY_PRESETS).forEach(({ cascadeSizes, fftResolution }) => {
+      const bands = computeCascadeBands(cascadeSizes, fftResolution);
+
+      bands.slice(0, -1).forEach((band, index) => {
+        expect(band.kMax).toBeLessThanOrEqual((Math.PI * fftResolution) / cascadeSizes[index]);
+        expect(bands[index + 1].kMin).toBeGreaterThan((2.0 * Math.PI) / cascadeSizes[index + 1]);
+      });
+    });
+  });
+});
+
+describe('generateSeedPhases', () => {
+  it('is bit-identical for the same seed', () => {
+    expect(generateSeedPhases(64, 1337, 1)).toEqual(generateSeedPhases(64, 1337, 1));
+  });
+
+  it('changes with the seed and between cascades', () => {
+    const phases = generateSeedPhases(64, 1337, 0);
+
+    expect(generateSeedPhases(64, 1338, 0)).not.toEqual(phases);
+    expect(generateSeedPhases(64, 1337, 1)).not.toEqual(phases);
+  });
+
+  it('keeps phases in [0, 2pi) and leaves the unused channels empty', () => {
+    const phases = generateSeedPhases(32, 7, 0);
+
+    for (let i = 0; i < phases.length; i += 4) {
+      expect(phases[i]).toBeGreaterThanOrEqual(0.0);
+      expect(phases[i]).toBeLessThan(Math.PI * 2.0);
+      expect(phases[i + 1] + phases[i + 2] + phases[i + 3]).toBe(0.0);
+    }
+  });
+});
+
+describe('computeTimeCycle', () => {
+  it('wraps absolute time, including negative time, into the repeat period', () => {
+    const cycle = computeTimeCycle(137.25);
+
+    expect(computeTimeCycle(137.25 + WAVE_REPEAT_PERIOD * 3.0).x).toBe(cycle.x);
+    expect(computeTimeCycle(137.25 + WAVE_REPEAT_PERIOD * 3.0).y).toBeCloseTo(cycle.y, 12);
+    expect(computeTimeCycle(137.25 - WAVE_REPEAT_PERIOD).y).toBeCloseTo(cycle.y, 12);
+  });
+
+  it('splits the cycle into a coarse step and a small remainder', () => {
+    const cycle = computeTimeCycle(1000.0);
+
+    expect(cycle.x * 256.0).toBe(Math.floor(cycle.x * 256.0));
+    expect(cycle.y).toBeGreaterThanOrEqual(0.0);
+    expect(cycle.y).toBeLessThan(1.0 / 256.0);
+    expect(cycle.x + cycle.y).toBeCloseTo(1000.0 / WAVE_REPEAT_PERIOD, 12);
+  });
+});
+
+describe('OceanFFT time', () => {
+  const createRenderer = () => ({
+    getRenderTarget: () => null,
+    setRenderTarget: () => {},
+    clear: () => {},
+    render: () => {},
+  });
+
+  it('reaches the same state through update(deltaTime) as through setTime', () => {
+    const incremental = new OceanFFT(createRenderer(), { resolution: 16, cascadeSizes: [200.0, 40.0] });
+    const absolute = new OceanFFT(createRenderer(), { resolution: 16, cascadeSizes: [200.0, 40.0] });
+
+    for (let frame = 0; frame < 600; frame += 1) {
+      incremental.update(1.0 / 60.0);
+    }
+    absolute.setTime(10.0);
+
+    expect(incremental.time).toBeCloseTo(10.0, 9);
+    expect(incremental.materialSpectrum.uniforms.u_timeCycle.value.x).toBe(absolute.materialSpectrum.uniforms.u_timeCycle.value.x);
+    expect(incremental.materialSpectrum.uniforms.u_timeCycle.value.y).toBeCloseTo(absolute.materialSpectrum.uniforms.u_timeCycle.value.y, 12);
+
+    incremental.dispose();
+    absolute.dispose();
+  });
+
+  it('integrates foam across small steps and restarts it after jumps', () => {
+    const fft = new OceanFFT(createRenderer(), { resolution: 16, cascadeSizes: [200.0] });
+    const foamUniforms = fft.materialNormal.uniforms;
+
+    fft.setTime(4.0);
+    expect(foamUniforms.u_foamHistory.value).toBe(0.0);
+
+    fft.setTime(4.02);
+    expect(foamUniforms.u_foamHistory.value).toBe(1.0);
+    expect(foamUniforms.u_deltaTime.value).toBeCloseTo(0.02);
+
+    fft.setTime(1.0);
+    expect(foamUniforms.u_foamHistory.value).toBe(0.0);
+
+    fft.dispose();
+  });
+});
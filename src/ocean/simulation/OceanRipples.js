@@ -0,0 +1,193 @@
+import {
+  ClampToEdgeWrapping,
+  FloatType,
+  HalfFloatType,
+  LinearFilter,
+  Mesh,
+  NoBlending,
+  OrthographicCamera,
+  PlaneGeometry,
+  RGBAFormat,
+  Scene,
+  ShaderMaterial,
+  UniformsUtils,
+  WebGLRenderTarget,
+} from 'three';
+import { FFTShaders } from './fftShaders';
+import { MAX_RIPPLE_DISTURBANCES, RippleShaders } from './rippleShaders';
+
+const FIXED_STEP = 1.0 / 60.0;
+const MAX_STEPS_PER_UPDATE = 4;
+// Keeps the explicit scheme well inside its 2D stability limit (c dt / dx <= 1 / sqrt(2)).
+const MAX_COURANT_NUMBER = 0.5;
+
+// Domain origin snapped to whole cells, mirroring how OceanLODGrid.update snaps the grid to the camera. Cells are counted
+// from the world origin, which sits at -originOffset in scene coordinates under a floating origin.
+export const snapDomainOrigin = (center, domainSize, cellSize, originOffset = 0.0) =>
+  Math.floor((center + originOffset) / cellSize) * cellSize - originOffset - domainSize * 0.5;
+
+// Local wave-equation heightfield that follows the camera and carries interactive ripples on top of the FFT ocean.
+export class OceanRipples {
+  constructor(renderer, { resolution = 256, domainSize = 96.0, waveSpeed = 3.5, damping = 0.7, useHalfFloat = true } = {}) {
+    this.renderer = renderer;
+    this.resolution = resolution;
+    this.domainSize = domainSize;
+    this.cellSize = domainSize / resolution;
+    this.waveSpeed = Math.min(waveSpeed, (MAX_COURANT_NUMBER * this.cellSize) / FIXED_STEP);
+    this.damping = damping;
+
+    this.originX = 0.0;
+    this.originZ = 0.0;
+    this.hasOrigin = false;
+    this.worldOffsetX = 0.0;
+    this.worldOffsetZ = 0.0;
+    this.accumulator = 0.0;
+    this.disturbances = [];
+
+    this.simulationScene = new Scene();
+    this.simulationCamera = new OrthographicCamera(-1, 1, 1, -1, 0.1, 10);
+    this.simulationCamera.position.z = 1;
+
+    const stepShader = RippleShaders.step;
+    this.material = new ShaderMaterial({
+      uniforms: UniformsUtils.clone(stepShader.uniforms),
+      vertexShader: FFTShaders.simulationVertex.vertexShader,
+      fragmentShader: stepShader.fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+      blending: NoBlending,
+    });
+    this.material.name = 'OceanRipples_Step';
+    this.material.uniforms.u_resolution.value = resolution;
+    this.material.uniforms.u_cellSize.value = this.cellSize;
+
+    this.simulationQuad = new Mesh(new PlaneGeometry(2, 2), this.material);
+    this.simulationScene.add(this.simulationQuad);
+
+    const targetParams = {
+      minFilter: LinearFilter,
+      magFilter: LinearFilter,
+      wrapS: ClampToEdgeWrapping,
+      wrapT: ClampToEdgeWrapping,
+      format: RGBAFormat,
+      depthBuffer: false,
+      stencilBuffer: false,
+      type: useHalfFloat ? HalfFloatType : FloatType,
+    };
+
+    this.stateFramebuffer = new WebGLRenderTarget(resolution, resolution, targetParams);
+    this.previousStateFramebuffer = new WebGLRenderTarget(resolution, resolution, targetParams);
+    this.needsClear = true;
+  }
+
+  // Rate is in metres per second of surface displacement while the disturbance lasts; negative values push water down.
+  addDisturbance(x, z, radius, rate) {
+    if (this.disturbances.length >= MAX_RIPPLE_DISTURBANCES) {
+      return;
+    }
+
+    this.disturbances.push({ x, z, radius, rate });
+  }
+
+  // The scene was moved by (-shiftX, -shiftZ); the heightfield stays where it was in the world.
+  shiftOrigin(shiftX, shiftZ) {
+    this.originX -= shiftX;
+    this.originZ -= shiftZ;
+    this.worldOffsetX += shiftX;
+    this.worldOffsetZ += shiftZ;
+
+    this.disturbances.forEach((disturbance) => {
+      disturbance.x -= shiftX;
+      disturbance.z -= shiftZ;
+    });
+  }
+
+  #clearState() {
+    const currentRenderTarget = this.renderer.getRenderTarget();
+
+    [this.stateFramebuffer, this.previousStateFramebuffer].forEach((target) => {
+      this.renderer.setRenderTarget(target);
+      this.renderer.clear();
+    });
+
+    this.renderer.setRenderTarget(currentRenderTarget);
+    this.needsClear = false;
+  }
+
+  #step(shiftX, shiftZ) {
+    const uniforms = this.material.uniforms;
+    const courant = (this.waveSpeed * FIXED_STEP) / this.cellSize;
+
+    uniforms.u_state.value = this.stateFramebuffer.texture;
+    uniforms.u_shift.value.set(shiftX, shiftZ);
+    uniforms.u_courant.value = courant * courant;
+    uniforms.u_damping.value = Math.exp(-this.damping * FIXED_STEP);
+    uniforms.u_deltaTime.value = FIXED_STEP;
+    uniforms.u_disturbanceCount.value = this.disturbances.length;
+
+    this.disturbances.forEach(({ x, z, radius, rate }, index) => {
+      const offset = index * 4;
+      uniforms.u_disturbances.value[offset] = (x - this.originX) / this.domainSize;
+      uniforms.u_disturbances.value[offset + 1] = (z - this.originZ) / this.domainSize;
+      uniforms.u_disturbances.value[offset + 2] = radius / this.domainSize;
+      uniforms.u_disturbances.value[offset + 3] = rate;
+    });
+
+    this.renderer.setRenderTarget(this.previousStateFramebuffer);
+    this.renderer.render(this.simulationScene, this.simulationCamera);
+
+    [this.stateFramebuffer, this.previousStateFramebuffer] = [this.previousStateFramebuffer, this.stateFramebuffer];
+  }
+
+  update(deltaTime, centerPosition) {
+    if (this.needsClear) {
+      this.#clearState();
+    }
+
+    const targetOriginX = snapDomainOrigin(centerPosition.x, this.domainSize, this.cellSize, this.worldOffsetX);
+    const targetOriginZ = snapDomainOrigin(centerPosition.z, this.domainSize, this.cellSize, this.worldOffsetZ);
+
+    if (!this.hasOrigin) {
+      this.originX = targetOriginX;
+      this.originZ = targetOriginZ;
+      this.hasOrigin = true;
+    }
+
+    this.accumulator = Math.min(this.accumulator + Math.max(0.0, deltaTime), FIXED_STEP * MAX_STEPS_PER_UPDATE);
+
+    if (this.accumulator < FIXED_STEP) {
+      this.disturbances = [];
+      return;
+    }
+
+    const currentRenderTarget = this.renderer.getRenderTarget();
+
+    while (this.accumulator >= FIXED_STEP) {
+      const shiftX = Math.round((targetOriginX - this.originX) / this.cellSize);
+      const shiftZ = Math.round((targetOriginZ - this.originZ) / this.cellSize);
+
+      this.originX = targetOriginX;
+      this.originZ = targetOriginZ;
+      this.#step(shiftX, shiftZ);
+      this.accumulator -= FIXED_STEP;
+    }
+
+    this.renderer.setRenderTarget(currentRenderTarget);
+    this.disturbances = [];
+  }
+
+  getTexture() {
+    return this.stateFramebuffer.texture;
+  }
+
+  getBounds() {
+    return { minX: this.originX, minZ: this.originZ, size: this.domainSize };
+  }
+
+  dispose() {
+    this.simulationQuad.geometry.dispose();
+    this.material.dispose();
+    this.stateFramebuffer.dispose();
+    this.previousStateFramebuffer.dispose();
+  }
+}
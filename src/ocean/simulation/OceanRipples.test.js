@@ -0,0 +1,64 @@
+import { Vector3 } from 'three';
+import { describe, expect, it } from 'vitest';
+import { OceanRipples, snapDomainOrigin } from './OceanRipples';
+
+const createRenderer = () => ({
+  getRenderTarget: () => null,
+  setRenderTarget: () => {},
+  clear: () => {},
+  render: () => {},
+});
+
+describe('OceanRipples', () => {
+  it('snaps the domain origin to whole cells around the centre', () => {
+    expect(snapDomainOrigin(10.3, 64.0, 0.5)).toBeCloseTo(10.0 - 32.0);
+    expect(snapDomainOrigin(-0.2, 64.0, 0.5)).toBeCloseTo(-0.5 - 32.0);
+  });
+
+  it('shifts the stored state by whole texels when the camera moves', () => {
+    const ripples = new OceanRipples(createRenderer(), { resolution: 64, domainSize: 32.0 });
+
+    ripples.update(1.0 / 60.0, new Vector3(0.0, 5.0, 0.0));
+    ripples.update(1.0 / 60.0, new Vector3(2.1, 5.0, -1.0));
+
+    expect(ripples.material.uniforms.u_shift.value.x).toBe(4);
+    expect(ripples.material.uniforms.u_shift.value.y).toBe(-2);
+    expect(ripples.getBounds().minX).toBeCloseTo(2.0 - 16.0);
+
+    ripples.dispose();
+  });
+
+  it('keeps the heightfield in place when the scene origin moves', () => {
+    const ripples = new OceanRipples(createRenderer(), { resolution: 64, domainSize: 24.0 });
+
+    ripples.update(1.0 / 60.0, new Vector3(5120.4, 5.0, 30.1));
+    const { minX, minZ } = ripples.getBounds();
+
+    ripples.shiftOrigin(5120.0, 0.0);
+    ripples.update(1.0 / 60.0, new Vector3(0.4, 5.0, 30.1));
+
+    expect(ripples.material.uniforms.u_shift.value.x).toBe(0);
+    expect(ripples.material.uniforms.u_shift.value.y).toBe(0);
+    expect(ripples.getBounds().minX).toBeCloseTo(minX - 5120.0);
+    expect(ripples.getBounds().minZ).toBeCloseTo(minZ);
+
+    ripples.dispose();
+  });
+
+  it('maps disturbances into domain space and clears them after stepping', () => {
+    const ripples = new OceanRipples(createRenderer(), { resolution: 64, domainSize: 32.0 });
+    const disturbances = ripples.material.uniforms.u_disturbances.value;
+
+    ripples.addDisturbance(4.0, -8.0, 1.6, -2.0);
+    ripples.update(1.0 / 60.0, new Vector3());
+
+    expect(ripples.material.uniforms.u_disturbanceCount.value).toBe(1);
+    expect(disturbances[0]).toBeCloseTo(0.625);
+    expect(disturbances[1]).toBeCloseTo(0.25);
+    expect(disturbances[2]).toBeCloseTo(0.05);
+    expect(disturbances[3]).toBe(-2.0);
+    expect(ripples.disturbances).toHaveLength(0);
+
+    ripples.dispose();
+  });
+});
@@ -0,0 +1,221 @@
+import {
+  ClampToEdgeWrapping,
+  FloatType,
+  HalfFloatType,
+  LinearFilter,
+  Mesh,
+  NoBlending,
+  OrthographicCamera,
+  PlaneGeometry,
+  RGBAFormat,
+  Scene,
+  ShaderMaterial,
+  UniformsUtils,
+  Vector3,
+  WebGLRenderTarget,
+} from 'three';
+import { FFTShaders } from './fftShaders';
+import { snapDomainOrigin } from './OceanRipples';
+import { MAX_WAKE_EMITTERS, WakeShaders } from './wakeShaders';
+
+const GRAVITY = 9.81;
+const MAX_DELTA = 0.1;
+
+// Wave height grows with the square of the hull Froude number until the hull starts planing around Fr = 0.7.
+export const computeWakeAmplitude = (speed, hullLength) => {
+  const froude = speed / Math.sqrt(GRAVITY * Math.max(hullLength, 0.5));
+  return 0.05 * hullLength * Math.min(froude * froude, 0.5);
+};
+
+// Kelvin wakes and turbulent foam trails for moving hulls, in a texture that follows the camera.
+export class OceanWakes {
+  constructor(renderer, { resolution = 512, domainSize = 512.0, trailDuration = 40.0, foamDecay = 0.12, useHalfFloat = true } = {}) {
+    this.renderer = renderer;
+    this.resolution = resolution;
+    this.domainSize = domainSize;
+    this.cellSize = domainSize / resolution;
+    this.trailDuration = trailDuration;
+
+    this.originX = 0.0;
+    this.originZ = 0.0;
+    this.hasOrigin = false;
+    this.worldOffsetX = 0.0;
+    this.worldOffsetZ = 0.0;
+    this.emitters = new Set();
+
+    this.simulationScene = new Scene();
+    this.simulationCamera = new OrthographicCamera(-1, 1, 1, -1, 0.1, 10);
+    this.simulationCamera.position.z = 1;
+
+    const wakeShader = WakeShaders.wake;
+    this.material = new ShaderMaterial({
+      uniforms: UniformsUtils.clone(wakeShader.uniforms),
+      vertexShader: FFTShaders.simulationVertex.vertexShader,
+      fragmentShader: wakeShader.fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+      blending: NoBlending,
+    });
+    this.material.name = 'OceanWakes_Wake';
+    this.material.uniforms.u_resolution.value = resolution;
+    this.material.uniforms.u_domainSize.value = domainSize;
+    this.material.uniforms.u_foamDecay.value = foamDecay;
+
+    this.simulationQuad = new Mesh(new PlaneGeometry(2, 2), this.material);
+    this.simulationScene.add(this.simulationQuad);
+
+    const targetParams = {
+      minFilter: LinearFilter,
+      magFilter: LinearFilter,
+      wrapS: ClampToEdgeWrapping,
+      wrapT: ClampToEdgeWrapping,
+      format: RGBAFormat,
+      depthBuffer: false,
+      stencilBuffer: false,
+      type: useHalfFloat ? HalfFloatType : FloatType,
+    };
+
+    this.wakeFramebuffer = new WebGLRenderTarget(resolution, resolution, targetParams);
+    this.previousWakeFramebuffer = new WebGLRenderTarget(resolution, resolution, targetParams);
+    this.needsClear = true;
+  }
+
+  // Returns a handle whose position (hull centre), heading (radians, travel along (cos, sin) in xz), speed and
+  // hullLength the caller updates every frame.
+  addEmitter({ position = new Vector3(), heading = 0.0, speed = 0.0, hullLength = 12.0 } = {}) {
+    if (this.emitters.size >= MAX_WAKE_EMITTERS) {
+      throw new Error(`Ocean wakes support at most ${MAX_WAKE_EMITTERS} emitters.`);
+    }
+
+    const emitter = {
+      position: position.clone(),
+      heading,
+      speed,
+      hullLength,
+      previousStern: null,
+    };
+
+    this.emitters.add(emitter);
+    return emitter;
+  }
+
+  removeEmitter(emitter) {
+    this.emitters.delete(emitter);
+  }
+
+  setFoamDecay(decay) {
+    this.material.uniforms.u_foamDecay.value = Math.max(0.0, decay);
+  }
+
+  // The scene was moved by (-shiftX, -shiftZ): foam trails stay put, and each stern's last position moves with its hull.
+  shiftOrigin(shiftX, shiftZ) {
+    this.originX -= shiftX;
+    this.originZ -= shiftZ;
+    this.worldOffsetX += shiftX;
+    this.worldOffsetZ += shiftZ;
+
+    this.emitters.forEach((emitter) => {
+      if (emitter.previousStern) {
+        emitter.previousStern.x -= shiftX;
+        emitter.previousStern.z -= shiftZ;
+      }
+    });
+  }
+
+  #clearState() {
+    const currentRenderTarget = this.renderer.getRenderTarget();
+
+    [this.wakeFramebuffer, this.previousWakeFramebuffer].forEach((target) => {
+      this.renderer.setRenderTarget(target);
+      this.renderer.clear();
+    });
+
+    this.renderer.setRenderTarget(currentRenderTarget);
+    this.needsClear = false;
+  }
+
+  #writeEmitters() {
+    const uniforms = this.material.uniforms;
+    let index = 0;
+
+    this.emitters.forEach((emitter) => {
+      const headingX = Math.cos(emitter.heading);
+      const headingZ = Math.sin(emitter.heading);
+      const halfLength = emitter.hullLength * 0.5;
+      const sternX = emitter.position.x - headingX * halfLength;
+      const sternZ = emitter.position.z - headingZ * halfLength;
+      const previousStern = emitter.previousStern || { x: sternX, z: sternZ };
+      const offset = index * 12;
+
+      uniforms.u_emitters.value.splice(
+        offset,
+        12,
+        emitter.position.x + headingX * halfLength,
+        emitter.position.z + headingZ * halfLength,
+        headingX,
+        headingZ,
+        emitter.speed,
+        emitter.hullLength,
+        Math.min(emitter.speed * this.trailDuration, this.domainSize),
+        computeWakeAmplitude(emitter.speed, emitter.hullLength),
+        previousStern.x,
+        previousStern.z,
+        sternX,
+        sternZ
+      );
+
+      emitter.previousStern = { x: sternX, z: sternZ };
+      index += 1;
+    });
+
+    uniforms.u_emitterCount.value = index;
+  }
+
+  update(deltaTime, centerPosition) {
+    if (this.needsClear) {
+      this.#clearState();
+    }
+
+    const targetOriginX = snapDomainOrigin(centerPosition.x, this.domainSize, this.cellSize, this.worldOffsetX);
+    const targetOriginZ = snapDomainOrigin(centerPosition.z, this.domainSize, this.cellSize, this.worldOffsetZ);
+
+    if (!this.hasOrigin) {
+      this.originX = targetOriginX;
+      this.originZ = targetOriginZ;
+      this.hasOrigin = true;
+    }
+
+    const uniforms = this.material.uniforms;
+    uniforms.u_previousWake.value = this.wakeFramebuffer.texture;
+    uniforms.u_shift.value.set(Math.round((targetOriginX - this.originX) / this.cellSize), Math.round((targetOriginZ - this.originZ) / this.cellSize));
+    uniforms.u_domainOrigin.value.set(targetOriginX, targetOriginZ);
+    uniforms.u_deltaTime.value = Math.min(MAX_DELTA, Math.max(0.0, deltaTime));
+
+    this.originX = targetOriginX;
+    this.originZ = targetOriginZ;
+    this.#writeEmitters();
+
+    const currentRenderTarget = this.renderer.getRenderTarget();
+    this.renderer.setRenderTarget(this.previousWakeFramebuffer);
+    this.renderer.render(this.simulationScene, this.simulationCamera);
+    this.renderer.setRenderTarget(currentRenderTarget);
+
+    [this.wakeFramebuffer, this.previousWakeFramebuffer] = [this.previousWakeFramebuffer, this.wakeFramebuffer];
+  }
+
+  getTexture() {
+    return this.wakeFramebuffer.texture;
+  }
+
+  getBounds() {
+    return { minX: this.originX, minZ: this.originZ, size: this.domainSize };
+  }
+
+  dispose() {
+    this.emitters.clear();
+    this.simulationQuad.geometry.dispose();
+    this.material.dispose();
+    this.wakeFramebuffer.dispose();
+    this.previousWakeFramebuffer.dispose();
+  }
+}
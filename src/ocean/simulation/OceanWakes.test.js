@@ -0,0 +1,68 @@
+import { Vector3 } from 'three';
+import { describe, expect, it } from 'vitest';
+import { computeWakeAmplitude, OceanWakes } from './OceanWakes';
+import { MAX_WAKE_EMITTERS } from './wakeShaders';
+
+const createRenderer = () => ({
+  getRenderTarget: () => null,
+  setRenderTarget: () => {},
+  clear: () => {},
+  render: () => {},
+});
+
+describe('OceanWakes', () => {
+  it('grows wake amplitude with Froude number and saturates once the hull planes', () => {
+    const slow = computeWakeAmplitude(2.0, 20.0);
+    const fast = computeWakeAmplitude(6.0, 20.0);
+
+    expect(fast).toBeGreaterThan(slow * 5.0);
+    expect(computeWakeAmplitude(30.0, 20.0)).toBeCloseTo(computeWakeAmplitude(60.0, 20.0));
+    expect(computeWakeAmplitude(0.0, 20.0)).toBe(0.0);
+  });
+
+  it('packs bow, shape and swept stern segment for each emitter', () => {
+    const wakes = new OceanWakes(createRenderer(), { resolution: 64, domainSize: 256.0, trailDuration: 10.0 });
+    const emitter = wakes.addEmitter({ position: new Vector3(10.0, 0.0, 0.0), heading: 0.0, speed: 5.0, hullLength: 20.0 });
+    const packed = wakes.material.uniforms.u_emitters.value;
+
+    wakes.update(0.1, new Vector3());
+    emitter.position.x += 0.5;
+    wakes.update(0.1, new Vector3());
+
+    expect(wakes.material.uniforms.u_emitterCount.value).toBe(1);
+    expect(packed[0]).toBeCloseTo(20.5);
+    expect(packed[1]).toBeCloseTo(0.0);
+    expect(packed[2]).toBeCloseTo(1.0);
+    expect(packed[4]).toBe(5.0);
+    expect(packed[6]).toBeCloseTo(50.0);
+    expect(packed[7]).toBeCloseTo(computeWakeAmplitude(5.0, 20.0));
+    expect(packed[8]).toBeCloseTo(0.0);
+    expect(packed[10]).toBeCloseTo(0.5);
+
+    wakes.dispose();
+  });
+
+  it('rejects emitters beyond the shader limit', () => {
+    const wakes = new OceanWakes(createRenderer(), { resolution: 16 });
+
+    for (let index = 0; index < MAX_WAKE_EMITTERS; index += 1) {
+      wakes.addEmitter();
+    }
+
+    expect(() => wakes.addEmitter()).toThrow();
+    wakes.dispose();
+  });
+
+  it('shifts the foam history by whole texels when the camera moves', () => {
+    const wakes = new OceanWakes(createRenderer(), { resolution: 64, domainSize: 128.0 });
+
+    wakes.update(1.0 / 60.0, new Vector3());
+    wakes.update(1.0 / 60.0, new Vector3(-4.5, 10.0, 6.0));
+
+    expect(wakes.material.uniforms.u_shift.value.x).toBe(-3);
+    expect(wakes.material.uniforms.u_shift.value.y).toBe(3);
+    expect(wakes.getBounds().minZ).toBeCloseTo(6.0 - 64.0);
+
+    wakes.dispose();
+  });
+});
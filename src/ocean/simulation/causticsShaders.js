@@ -0,0 +1,68 @@
+import { Vector3 } from 'three';
+
+export const CausticsShaders = {
+  // A light grid over one tile of the cascade: each vertex refracts the sun through the surface normal and lands on a
+  // plane focusDepth below; the fragment compares the grid's area before and after, which is the focused light flux.
+  caustics: {
+    uniforms: {
+      u_normalMap: { value: null },
+      u_cascadeSize: { value: 31.3 },
+      u_focusDepth: { value: 3.0 },
+      u_lightDirection: { value: new Vector3(0.0, -1.0, 0.0) },
+      u_flatRefraction: { value: new Vector3(0.0, -1.0, 0.0) },
+      u_maxDeviation: { value: 0.1 },
+    },
+    vertexShader: `
+      precision highp float;
+
+      uniform sampler2D u_normalMap;
+      uniform float u_cascadeSize;
+      uniform float u_focusDepth;
+      uniform vec3 u_lightDirection;
+      uniform vec3 u_flatRefraction;
+      uniform float u_maxDeviation;
+
+      varying vec2 vSourcePosition;
+      varying vec2 vTargetPosition;
+
+      vec2 planeOffset(vec3 ray) {
+        return ray.xz * (u_focusDepth / max(-ray.y, 0.05));
+      }
+
+      void main() {
+        vec3 normal = normalize(texture2D(u_normalMap, fract(position.xy)).xyz);
+        vec3 refracted = refract(u_lightDirection, normal, 1.0 / 1.333);
+
+        // Only the deviation from a flat surface is stored; the flat shift is applied when the texture is projected.
+        vec2 deviation = (planeOffset(refracted) - planeOffset(u_flatRefraction)) / u_cascadeSize;
+        float deviationLength = length(deviation);
+
+        if (deviationLength > u_maxDeviation) {
+          deviation *= u_maxDeviation / deviationLength;
+        }
+
+        vSourcePosition = position.xy;
+        vTargetPosition = position.xy + deviation;
+
+        gl_Position = vec4(vTargetPosition * 2.0 - 1.0, 0.0, 1.0);
+      }
+    `,
+    fragmentShader: `
+      precision highp float;
+
+      varying vec2 vSourcePosition;
+      varying vec2 vTargetPosition;
+
+      float cellArea(vec2 point) {
+        vec2 dx = dFdx(point);
+        vec2 dy = dFdy(point);
+        return abs(dx.x * dy.y - dx.y * dy.x);
+      }
+
+      void main() {
+        float intensity = cellArea(vSourcePosition) / max(cellArea(vTargetPosition), 1e-12);
+        gl_FragColor = vec4(vec3(min(intensity, 24.0)), 1.0);
+      }
+    `,
+  },
+};
@@ -1,5 +1,18 @@
 import { Vector2 } from 'three';
 
+export const SPECTRUM_MODELS = {
+  phillips: 0,
+  piersonMoskowitz: 1,
+  jonswap: 2,
+  tma: 3,
+  elfouhaily: 4,
+};
+
+export const MAX_SWELL_COMPONENTS = 4;
+
+// Wave frequencies are snapped to whole cycles over this period, making the ocean exactly periodic in time.
+export const WAVE_REPEAT_PERIOD = 4096.0;
+
 export const FFTShaders = {
   simulationVertex: {
     vertexShader: `
@@ -65,6 +78,21 @@ export const FFTShaders = {
       u_wind: { value: new Vector2(10.0, 10.0) },
       u_resolution: { value: 512.0 },
       u_size: { value: 1000.0 },
+      u_inverseWaveAge: { value: 0.84 },
+      u_kMin: { value: 0.0 },
+      u_kMax: { value: 1.0e6 },
+      u_spectrumModel: { value: SPECTRUM_MODELS.elfouhaily },
+      u_phillipsAmplitude: { value: 1.0 },
+      u_phillipsCutoff: { value: 0.5 },
+      u_jonswapGamma: { value: 3.3 },
+      u_jonswapSigmaA: { value: 0.07 },
+      u_jonswapSigmaB: { value: 0.09 },
+      u_waterDepth: { value: 500.0 },
+      u_elfouhailyGamma: { value: 1.7 },
+      u_windSeaSpreading: { value: 6.0 },
+      u_swellCount: { value: 0 },
+      u_swells: { value: new Array(MAX_SWELL_COMPONENTS * 4).fill(0.0) },
+      u_swellSpreading: { value: new Array(MAX_SWELL_COMPONENTS).fill(1.0) },
     },
     vertexShader: `
       void main() {
@@ -75,17 +103,38 @@ export const FFTShaders = {
       precision highp float;
       #include <common>
 
+      #define SPECTRUM_PHILLIPS ${SPECTRUM_MODELS.phillips}
+      #define SPECTRUM_PIERSON_MOSKOWITZ ${SPECTRUM_MODELS.piersonMoskowitz}
+      #define SPECTRUM_JONSWAP ${SPECTRUM_MODELS.jonswap}
+      #define SPECTRUM_TMA ${SPECTRUM_MODELS.tma}
+      #define SPECTRUM_ELFOUHAILY ${SPECTRUM_MODELS.elfouhaily}
+      #define MAX_SWELL_COMPONENTS ${MAX_SWELL_COMPONENTS}
+
       const float G = 9.81;
       const float KM = 370.0;
       const float CM = 0.23;
+      const float PHILLIPS_ALPHA = 0.0081;
+      const float SWELL_GAMMA = 5.0;
 
       uniform vec2 u_wind;
       uniform float u_resolution;
       uniform float u_size;
-
-      float omega(float k) {
-        return sqrt(G * k * (1.0 + pow2(k / KM)));
-      }
+      uniform float u_inverseWaveAge;
+      uniform float u_kMin;
+      uniform float u_kMax;
+      uniform int u_spectrumModel;
+      uniform float u_phillipsAmplitude;
+      uniform float u_phillipsCutoff;
+      uniform float u_jonswapGamma;
+      uniform float u_jonswapSigmaA;
+      uniform float u_jonswapSigmaB;
+      uniform float u_waterDepth;
+      uniform float u_elfouhailyGamma;
+      uniform float u_windSeaSpreading;
+      uniform int u_swellCount;
+      // xy: unit propagation direction, z: peak angular frequency, w: significant wave height.
+      uniform vec4 u_swells[MAX_SWELL_COMPONENTS];
+      uniform float u_swellSpreading[MAX_SWELL_COMPONENTS];
 
       #if __VERSION__ == 100
       float tanh(float x) {
@@ -93,34 +142,87 @@ export const FFTShaders = {
       }
       #endif
 
-      void main() {
-        vec2 coordinates = gl_FragCoord.xy - 0.5;
+      // Finite-depth dispersion with capillary term: w^2 = g k (1 + (k / km)^2) tanh(k h).
+      float omega(float k) {
+        return sqrt(G * k * (1.0 + pow2(k / KM)) * tanh(min(k * u_waterDepth, 20.0)));
+      }
 
-        float n = (coordinates.x < u_resolution * 0.5) ? coordinates.x : coordinates.x - u_resolution;
-        float m = (coordinates.y < u_resolution * 0.5) ? coordinates.y : coordinates.y - u_resolution;
+      float omegaDerivative(float k) {
+        float kh = min(k * u_waterDepth, 20.0);
+        float depthTerm = tanh(kh);
+        float deepTerm = G * k * (1.0 + pow2(k / KM));
+        float dDeepTerm = G * (1.0 + 3.0 * pow2(k / KM));
+        return (dDeepTerm * depthTerm + deepTerm * u_waterDepth * (1.0 - depthTerm * depthTerm)) / (2.0 * max(omega(k), 0.0001));
+      }
 
-        vec2 K = (2.0 * PI * vec2(n, m)) / u_size;
-        float k = length(K);
+      // Normalized cos-2s spreading; sqrt(s + 0.25) approximates Gamma(s + 1) / Gamma(s + 0.5).
+      float directionalSpreading(float cosPhi, float s) {
+        return sqrt(s + 0.25) / (2.0 * sqrt(PI)) * pow(max(0.5 * (1.0 + cosPhi), 0.0), s);
+      }
 
-        float l_wind = max(length(u_wind), 0.001);
+      float piersonMoskowitz(float w, float wp, float alpha) {
+        return alpha * G * G / pow(w, 5.0) * exp(-1.25 * pow(wp / w, 4.0));
+      }
 
-        float Omega = 0.84;
-        float kp = G * pow2(Omega / l_wind);
+      float peakEnhancement(float w, float wp, float gamma, float sigmaA, float sigmaB) {
+        float sigma = (w <= wp) ? sigmaA : sigmaB;
+        float r = exp(-pow2(w - wp) / (2.0 * pow2(sigma * wp)));
+        return pow(gamma, r);
+      }
+
+      float jonswap(float w, float wp, float alpha) {
+        return piersonMoskowitz(w, wp, alpha) * peakEnhancement(w, wp, u_jonswapGamma, u_jonswapSigmaA, u_jonswapSigmaB);
+      }
+
+      // JONSWAP shape scaled to a significant wave height (Goda's normalization for the peak enhancement).
+      float swellSpectrum(float k, vec2 direction, vec4 swell, float spreading) {
+        float w = max(omega(k), 0.0001);
+        float wp = swell.z;
+        float S = (1.0 - 0.287 * log(SWELL_GAMMA)) * 0.3125 * pow2(swell.w) * pow(wp, 4.0) / pow(w, 5.0) * exp(-1.25 * pow(wp / w, 4.0));
+        S *= peakEnhancement(w, wp, SWELL_GAMMA, 0.07, 0.09);
+
+        return S * omegaDerivative(k) / k * directionalSpreading(dot(swell.xy, direction), spreading);
+      }
+
+      // Kitaigorodskii depth attenuation used by the TMA spectrum.
+      float depthAttenuation(float w) {
+        float wh = w * sqrt(u_waterDepth / G);
+
+        if (wh <= 1.0) {
+          return 0.5 * wh * wh;
+        }
+
+        if (wh < 2.0) {
+          return 1.0 - 0.5 * pow2(2.0 - wh);
+        }
+
+        return 1.0;
+      }
+
+      float phillips(float k, float cosPhi, float windSpeed) {
+        float L = pow2(windSpeed) / G;
+        float directional = cosPhi * cosPhi / PI;
+        float damping = exp(-pow2(k * u_phillipsCutoff));
+        return u_phillipsAmplitude * PHILLIPS_ALPHA * 0.5 * pow(k, -4.0) * exp(-1.0 / pow2(k * L)) * directional * damping;
+      }
+
+      float elfouhaily(float k, float cosPhi, float windSpeed) {
+        float Omega = u_inverseWaveAge;
+        float kp = G * pow2(Omega / windSpeed);
 
         float c = omega(k) / max(k, 0.0001);
         float cp = omega(kp) / max(kp, 0.0001);
 
         float Lpm = exp(-1.25 * pow2(kp / max(k, 0.0001)));
-        float gamma = 1.7;
         float sigma = 0.08 * (1.0 + 4.0 * pow(Omega, -3.0));
         float Gamma = exp(-pow2(sqrt(k / max(kp, 0.0001)) - 1.0) / (2.0 * pow2(sigma)));
-        float Jp = pow(gamma, Gamma);
+        float Jp = pow(u_elfouhailyGamma, Gamma);
         float Fp = Lpm * Jp * exp(-Omega / sqrt(10.0) * (sqrt(k / max(kp, 0.0001)) - 1.0));
         float alphap = 0.006 * sqrt(Omega);
         float Bl = 0.5 * alphap * cp / max(c, 0.0001) * Fp;
 
-        float z0 = 0.000037 * pow2(l_wind) / G * pow(l_wind / max(cp, 0.0001), 0.9);
-        float uStar = 0.41 * l_wind / max(log(10.0 / z0), 0.0001);
+        float z0 = 0.000037 * pow2(windSpeed) / G * pow(windSpeed / max(cp, 0.0001), 0.9);
+        float uStar = 0.41 * windSpeed / max(log(10.0 / z0), 0.0001);
         float alpham = 0.01 * ((uStar < CM) ? (1.0 + log(max(uStar / CM, 0.0001))) : (1.0 + 3.0 * log(max(uStar / CM, 0.0001))));
         float Fm = exp(-0.25 * pow2(k / KM - 1.0));
         float Bh = 0.5 * alpham * CM / max(c, 0.0001) * Fm * Lpm;
@@ -129,68 +231,82 @@ export const FFTShaders = {
         float am = 0.13 * uStar / CM;
         float Delta = tanh(a0 + 4.0 * pow(c / max(cp, 0.0001), 2.5) + am * pow(CM / max(c, 0.0001), 2.5));
 
-        float cosPhi = dot(normalize(u_wind), normalize(K + vec2(0.0001)));
-
-        float S = (1.0 / (2.0 * PI)) * pow(max(k, 0.0001), -4.0) * (Bl + Bh) * (1.0 + Delta * (2.0 * cosPhi * cosPhi - 1.0));
-
-        float dk = 2.0 * PI / u_size;
-        float h = sqrt(max(S, 0.0) / 2.0) * dk;
+        return (1.0 / (2.0 * PI)) * pow(max(k, 0.0001), -4.0) * (Bl + Bh) * (1.0 + Delta * (2.0 * cosPhi * cosPhi - 1.0));
+      }
 
-        if (K.x == 0.0 && K.y == 0.0) {
-          h = 0.0;
+      // Frequency spectra are mapped to wavenumber space with S(K) = S(w) * dw/dk / k * D(phi).
+      float frequencySpectrum(float k, float cosPhi, float windSpeed) {
+        float w = max(omega(k), 0.0001);
+        float S;
+
+        if (u_spectrumModel == SPECTRUM_PIERSON_MOSKOWITZ) {
+          S = piersonMoskowitz(w, 0.855 * G / windSpeed, PHILLIPS_ALPHA);
+        } else {
+          // JONSWAP fetch laws rewritten in terms of the inverse wave age U / cp = wp U / g.
+          float wp = G * u_inverseWaveAge / windSpeed;
+          float alpha = 0.076 * pow(u_inverseWaveAge / 22.0, 0.66);
+          S = jonswap(w, wp, alpha);
+
+          if (u_spectrumModel == SPECTRUM_TMA) {
+            S *= depthAttenuation(w);
+          }
         }
 
-        gl_FragColor = vec4(h, 0.0, 0.0, 0.0);
+        return S * omegaDerivative(k) / max(k, 0.0001) * directionalSpreading(cosPhi, u_windSeaSpreading);
       }
-    `,
-  },
 
-  phase: {
-    uniforms: {
-      u_phases: { value: null },
-      u_deltaTime: { value: null },
-      u_resolution: { value: null },
-      u_size: { value: null },
-    },
-    fragmentShader: `
-      precision highp float;
-      #include <common>
+      void main() {
+        vec2 coordinates = gl_FragCoord.xy - 0.5;
 
-      const float G = 9.81;
-      const float KM = 370.0;
+        float n = (coordinates.x < u_resolution * 0.5) ? coordinates.x : coordinates.x - u_resolution;
+        float m = (coordinates.y < u_resolution * 0.5) ? coordinates.y : coordinates.y - u_resolution;
 
-      varying vec2 vUV;
+        vec2 K = (2.0 * PI * vec2(n, m)) / u_size;
+        float k = max(length(K), 0.0001);
 
-      uniform sampler2D u_phases;
-      uniform float u_deltaTime;
-      uniform float u_resolution;
-      uniform float u_size;
+        float l_wind = max(length(u_wind), 0.001);
+        float cosPhi = dot(normalize(u_wind), normalize(K + vec2(0.0001)));
 
-      float omega(float k) {
-        return sqrt(G * k * (1.0 + k * k / (KM * KM)));
-      }
+        float S;
 
-      void main() {
-        vec2 coordinates = gl_FragCoord.xy - 0.5;
-        float n = (coordinates.x < u_resolution * 0.5) ? coordinates.x : coordinates.x - u_resolution;
-        float m = (coordinates.y < u_resolution * 0.5) ? coordinates.y : coordinates.y - u_resolution;
-        vec2 waveVector = (2.0 * PI * vec2(n, m)) / u_size;
+        if (u_spectrumModel == SPECTRUM_PHILLIPS) {
+          S = phillips(k, cosPhi, l_wind);
+        } else if (u_spectrumModel == SPECTRUM_ELFOUHAILY) {
+          S = elfouhaily(k, cosPhi, l_wind);
+        } else {
+          S = frequencySpectrum(k, cosPhi, l_wind);
+        }
+
+        vec2 direction = K / k;
+
+        for (int i = 0; i < MAX_SWELL_COMPONENTS; i += 1) {
+          if (i >= u_swellCount) {
+            break;
+          }
+
+          S += swellSpectrum(k, direction, u_swells[i], u_swellSpreading[i]);
+        }
+
+        float dk = 2.0 * PI / u_size;
+        float h = sqrt(max(S, 0.0) / 2.0) * dk;
 
-        float phase = texture2D(u_phases, vUV).r;
-        float deltaPhase = omega(length(waveVector)) * u_deltaTime;
-        phase = mod(phase + deltaPhase, 2.0 * PI);
+        // Cascades own disjoint wavenumber bands so no wave is simulated twice.
+        if ((K.x == 0.0 && K.y == 0.0) || k < u_kMin || k >= u_kMax) {
+          h = 0.0;
+        }
 
-        gl_FragColor = vec4(phase, 0.0, 0.0, 0.0);
+        gl_FragColor = vec4(h, 0.0, 0.0, 0.0);
       }
     `,
   },
-
   spectrum: {
     uniforms: {
       u_size: { value: null },
       u_resolution: { value: null },
       u_choppiness: { value: null },
       u_phases: { value: null },
+      u_timeCycle: { value: new Vector2() },
+      u_waterDepth: { value: 500.0 },
       u_initialSpectrum: { value: null },
     },
     fragmentShader: `
@@ -203,8 +319,26 @@ export const FFTShaders = {
       uniform float u_resolution;
       uniform float u_choppiness;
       uniform sampler2D u_phases;
+      // Position inside the repeat period as coarse + fine parts, so phases stay precise at any absolute time.
+      uniform vec2 u_timeCycle;
+      uniform float u_waterDepth;
       uniform sampler2D u_initialSpectrum;
 
+      const float G = 9.81;
+      const float KM = 370.0;
+      const float REPEAT_PERIOD = ${WAVE_REPEAT_PERIOD.toFixed(1)};
+
+      float omega(float k) {
+        return sqrt(G * k * (1.0 + k * k / (KM * KM)) * tanh(min(k * u_waterDepth, 20.0)));
+      }
+
+      // Dispersion quantized to whole cycles per repeat period: phase(t) = phase0 + 2pi * fract(n * t / T).
+      float wavePhase(float initialPhase, float k) {
+        float cyclesPerPeriod = floor(omega(k) * REPEAT_PERIOD / (2.0 * PI) + 0.5);
+        float cycles = fract(cyclesPerPeriod * u_timeCycle.x) + cyclesPerPeriod * u_timeCycle.y;
+        return initialPhase + 2.0 * PI * fract(cycles);
+      }
+
       vec2 multiplyComplex(vec2 a, vec2 b) {
         return vec2(a.x * b.x - a.y * b.y, a.y * b.x + a.x * b.y);
       }
@@ -219,7 +353,7 @@ export const FFTShaders = {
         float m = (coordinates.y < u_resolution * 0.5) ? coordinates.y : coordinates.y - u_resolution;
         vec2 waveVector = (2.0 * PI * vec2(n, m)) / u_size;
 
-        float phase = texture2D(u_phases, vUV).r;
+        float phase = wavePhase(texture2D(u_phases, vUV).r, length(waveVector));
         vec2 phaseVector = vec2(cos(phase), sin(phase));
 
         vec2 h0 = texture2D(u_initialSpectrum, vUV).rg;
@@ -246,8 +380,14 @@ export const FFTShaders = {
   normal: {
     uniforms: {
       u_displacementMap: { value: null },
+      u_previousFoam: { value: null },
       u_resolution: { value: null },
       u_size: { value: null },
+      u_deltaTime: { value: 0.0 },
+      u_foamHistory: { value: 0.0 },
+      u_foamThreshold: { value: 0.8 },
+      u_foamInjection: { value: 2.0 },
+      u_foamDecay: { value: 0.35 },
     },
     fragmentShader: `
       precision highp float;
@@ -255,25 +395,45 @@ export const FFTShaders = {
       varying vec2 vUV;
 
       uniform sampler2D u_displacementMap;
+      uniform sampler2D u_previousFoam;
       uniform float u_resolution;
       uniform float u_size;
+      uniform float u_deltaTime;
+      uniform float u_foamHistory;
+      uniform float u_foamThreshold;
+      uniform float u_foamInjection;
+      uniform float u_foamDecay;
 
       void main() {
         float texel = 1.0 / u_resolution;
         float texelSize = u_size / u_resolution;
 
         vec3 center = texture2D(u_displacementMap, vUV).rgb;
-        vec3 right = vec3(texelSize, 0.0, 0.0) + texture2D(u_displacementMap, vUV + vec2(texel, 0.0)).rgb - center;
-        vec3 left = vec3(-texelSize, 0.0, 0.0) + texture2D(u_displacementMap, vUV + vec2(-texel, 0.0)).rgb - center;
-        vec3 top = vec3(0.0, 0.0, -texelSize) + texture2D(u_displacementMap, vUV + vec2(0.0, -texel)).rgb - center;
-        vec3 bottom = vec3(0.0, 0.0, texelSize) + texture2D(u_displacementMap, vUV + vec2(0.0, texel)).rgb - center;
+        vec3 rightSample = texture2D(u_displacementMap, vUV + vec2(texel, 0.0)).rgb;
+        vec3 leftSample = texture2D(u_displacementMap, vUV + vec2(-texel, 0.0)).rgb;
+        vec3 topSample = texture2D(u_displacementMap, vUV + vec2(0.0, -texel)).rgb;
+        vec3 bottomSample = texture2D(u_displacementMap, vUV + vec2(0.0, texel)).rgb;
+
+        vec3 right = vec3(texelSize, 0.0, 0.0) + rightSample - center;
+        vec3 left = vec3(-texelSize, 0.0, 0.0) + leftSample - center;
+        vec3 top = vec3(0.0, 0.0, -texelSize) + topSample - center;
+        vec3 bottom = vec3(0.0, 0.0, texelSize) + bottomSample - center;
 
         vec3 topRight = cross(right, top);
         vec3 topLeft = cross(top, left);
         vec3 bottomLeft = cross(left, bottom);
         vec3 bottomRight = cross(bottom, right);
 
-        gl_FragColor = vec4(normalize(topRight + topLeft + bottomLeft + bottomRight), 1.0);
+        // Jacobian of the horizontal displacement: below 1 the surface is compressed, below 0 it folds over.
+        vec2 dDdx = (rightSample.rb - leftSample.rb) / (2.0 * texelSize);
+        vec2 dDdz = (bottomSample.rb - topSample.rb) / (2.0 * texelSize);
+        float jacobian = (1.0 + dDdx.x) * (1.0 + dDdz.y) - dDdz.x * dDdx.y;
+
+        float previousFoam = texture2D(u_previousFoam, vUV).a * u_foamHistory;
+        float injectedFoam = max(u_foamThreshold - jacobian, 0.0) * u_foamInjection * u_deltaTime;
+        float foam = clamp(previousFoam * exp(-u_foamDecay * u_deltaTime) + injectedFoam, 0.0, 2.0);
+
+        gl_FragColor = vec4(normalize(topRight + topLeft + bottomLeft + bottomRight), foam);
       }
     `,
   },
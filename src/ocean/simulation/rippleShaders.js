@@ -0,0 +1,77 @@
+import { Vector2 } from 'three';
+
+export const MAX_RIPPLE_DISTURBANCES = 16;
+
+export const RippleShaders = {
+  step: {
+    uniforms: {
+      u_state: { value: null },
+      u_resolution: { value: 256.0 },
+      u_cellSize: { value: 0.5 },
+      u_shift: { value: new Vector2() },
+      u_courant: { value: 0.1 },
+      u_damping: { value: 0.99 },
+      u_deltaTime: { value: 1.0 / 60.0 },
+      u_disturbanceCount: { value: 0 },
+      // xy: domain uv, z: radius in uv, w: height rate (m/s, negative pushes water down).
+      u_disturbances: { value: new Array(MAX_RIPPLE_DISTURBANCES * 4).fill(0.0) },
+    },
+    fragmentShader: `
+      precision highp float;
+
+      #define MAX_RIPPLE_DISTURBANCES ${MAX_RIPPLE_DISTURBANCES}
+
+      varying vec2 vUV;
+
+      uniform sampler2D u_state;
+      uniform float u_resolution;
+      uniform float u_cellSize;
+      uniform vec2 u_shift;
+      uniform float u_courant;
+      uniform float u_damping;
+      uniform float u_deltaTime;
+      uniform int u_disturbanceCount;
+      uniform vec4 u_disturbances[MAX_RIPPLE_DISTURBANCES];
+
+      // Clamping to the domain gives a zero-gradient boundary, so ripples reflect off the edges.
+      // The domain follows the camera in whole texels; u_shift re-reads the previous state at its new position.
+      vec2 readState(vec2 uv) {
+        float texel = 1.0 / u_resolution;
+        vec2 shifted = clamp(uv, vec2(0.5 * texel), vec2(1.0 - 0.5 * texel)) + u_shift * texel;
+
+        if (any(lessThan(shifted, vec2(0.0))) || any(greaterThan(shifted, vec2(1.0)))) {
+          return vec2(0.0);
+        }
+
+        return texture2D(u_state, shifted).rg;
+      }
+
+      void main() {
+        float texel = 1.0 / u_resolution;
+
+        vec2 center = readState(vUV);
+        float left = readState(vUV - vec2(texel, 0.0)).r;
+        float right = readState(vUV + vec2(texel, 0.0)).r;
+        float down = readState(vUV - vec2(0.0, texel)).r;
+        float up = readState(vUV + vec2(0.0, texel)).r;
+
+        float laplacian = left + right + down + up - 4.0 * center.r;
+        float height = (2.0 * center.r - center.g + u_courant * laplacian) * u_damping;
+
+        for (int i = 0; i < MAX_RIPPLE_DISTURBANCES; i += 1) {
+          if (i >= u_disturbanceCount) {
+            break;
+          }
+
+          vec4 disturbance = u_disturbances[i];
+          vec2 offset = (vUV - disturbance.xy) / max(disturbance.z, texel);
+          height += disturbance.w * u_deltaTime * exp(-dot(offset, offset) * 2.0);
+        }
+
+        vec2 gradient = vec2(right - left, up - down) / (2.0 * u_cellSize);
+
+        gl_FragColor = vec4(height, center.r, gradient);
+      }
+    `,
+  },
+};
@@ -0,0 +1,22 @@
+export const normalizeSeed = (seed) => Math.floor(Math.abs(Number(seed) || 0)) >>> 0;
+
+// Derives an independent stream per consumer (e.g. per cascade) from one user-facing seed.
+export const deriveSeed = (seed, streamIndex) => {
+  let hash = (normalizeSeed(seed) ^ Math.imul(streamIndex + 1, 0x9e3779b9)) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+// Mulberry32: small, fast and identical on every JS engine, returns floats in [0, 1).
+export const createSeededRandom = (seed) => {
+  let state = normalizeSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
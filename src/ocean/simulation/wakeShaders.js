@@ -0,0 +1,153 @@
+import { Vector2 } from 'three';
+
+export const MAX_WAKE_EMITTERS = 8;
+
+export const WakeShaders = {
+  wake: {
+    uniforms: {
+      u_previousWake: { value: null },
+      u_resolution: { value: 512.0 },
+      u_domainOrigin: { value: new Vector2() },
+      u_domainSize: { value: 512.0 },
+      u_shift: { value: new Vector2() },
+      u_deltaTime: { value: 0.0 },
+      u_foamDecay: { value: 0.12 },
+      u_emitterCount: { value: 0 },
+      // Per emitter, three vec4s: (bow x, bow z, heading x, heading z), (speed, hull length, trail length, amplitude),
+      // (previous stern x, previous stern z, stern x, stern z).
+      u_emitters: { value: new Array(MAX_WAKE_EMITTERS * 12).fill(0.0) },
+    },
+    fragmentShader: `
+      precision highp float;
+      #include <common>
+
+      #define MAX_WAKE_EMITTERS ${MAX_WAKE_EMITTERS}
+
+      const float G = 9.81;
+      // tan of the Kelvin half-angle (19.47 degrees) is 1 / sqrt(8).
+      const float KELVIN_SLOPE = 0.35355339;
+
+      varying vec2 vUV;
+
+      uniform sampler2D u_previousWake;
+      uniform float u_resolution;
+      uniform vec2 u_domainOrigin;
+      uniform float u_domainSize;
+      uniform vec2 u_shift;
+      uniform float u_deltaTime;
+      uniform float u_foamDecay;
+      uniform int u_emitterCount;
+      uniform vec4 u_emitters[MAX_WAKE_EMITTERS * 3];
+
+      float distanceToSegment(vec2 p, vec2 a, vec2 b) {
+        vec2 ab = b - a;
+        float t = clamp(dot(p - a, ab) / max(dot(ab, ab), 0.0001), 0.0, 1.0);
+        return length(p - a - ab * t);
+      }
+
+      // Stationary-phase Kelvin pattern in the hull frame: each point behind the bow sees one transverse and one
+      // divergent wave whose directions satisfy tan(alpha) = t / (1 + 2 t^2), t = tan(theta).
+      float kelvinHeight(vec2 worldXZ, vec4 pose, vec4 shape) {
+        vec2 heading = pose.zw;
+        vec2 relative = worldXZ - pose.xy;
+        float behind = -dot(relative, heading);
+        float lateral = abs(dot(relative, vec2(-heading.y, heading.x)));
+
+        if (behind <= 0.0 || behind > shape.z) {
+          return 0.0;
+        }
+
+        float speed = max(shape.x, 0.1);
+        float k0 = G / (speed * speed);
+        float tanAlpha = lateral / behind;
+        float discriminant = 1.0 - 8.0 * tanAlpha * tanAlpha;
+
+        // Outside the wedge the cusp wave dies off quickly instead of ending on a hard line.
+        float outside = max(-discriminant, 0.0);
+        float edge = exp(-outside * 40.0);
+        float root = sqrt(max(discriminant, 0.0));
+        float safeTanAlpha = max(min(tanAlpha, KELVIN_SLOPE), 0.0001);
+
+        float transverseTan = (1.0 - root) / (4.0 * safeTanAlpha);
+        float divergentTan = (1.0 + root) / (4.0 * safeTanAlpha);
+
+        float transversePhase = k0 * behind * (1.0 + safeTanAlpha * transverseTan) * sqrt(1.0 + transverseTan * transverseTan);
+        float divergentPhase = k0 * behind * (1.0 + safeTanAlpha * divergentTan) * sqrt(1.0 + divergentTan * divergentTan);
+
+        float spreading = sqrt(shape.y / (behind + shape.y));
+        float cuspBoost = 1.0 + 1.5 * (1.0 - root);
+
+        // Divergent waves shorten towards the track; drop them before they alias on the wake grid.
+        float divergentWavenumber = k0 * (1.0 + divergentTan * divergentTan);
+        float cellSize = u_domainSize / u_resolution;
+        float divergentWeight = smoothstep(0.02, 0.3, 1.0 - root) * (1.0 - smoothstep(0.25 * PI, 0.5 * PI, divergentWavenumber * cellSize));
+        float fadeIn = smoothstep(0.0, shape.y * 0.5, behind);
+        float fadeOut = 1.0 - smoothstep(shape.z * 0.6, shape.z, behind);
+
+        float waves = 0.6 * cos(transversePhase) + cos(divergentPhase) * cuspBoost * divergentWeight;
+        return shape.w * waves * spreading * edge * fadeIn * fadeOut;
+      }
+
+      float wakeHeight(vec2 worldXZ) {
+        float height = 0.0;
+
+        for (int i = 0; i < MAX_WAKE_EMITTERS; i += 1) {
+          if (i >= u_emitterCount) {
+            break;
+          }
+
+          height += kelvinHeight(worldXZ, u_emitters[i * 3], u_emitters[i * 3 + 1]);
+        }
+
+        return height;
+      }
+
+      float wakeFoam(vec2 worldXZ) {
+        float foam = 0.0;
+
+        for (int i = 0; i < MAX_WAKE_EMITTERS; i += 1) {
+          if (i >= u_emitterCount) {
+            break;
+          }
+
+          vec4 pose = u_emitters[i * 3];
+          vec4 shape = u_emitters[i * 3 + 1];
+          vec4 stern = u_emitters[i * 3 + 2];
+
+          // Turbulent trail from the propeller wash, plus a bow wave that breaks at speed.
+          float beam = shape.y * 0.22;
+          float trail = 1.0 - smoothstep(beam * 0.3, beam, distanceToSegment(worldXZ, stern.xy, stern.zw));
+          float bow = 1.0 - smoothstep(0.0, beam * 0.8, length(worldXZ - pose.xy));
+          foam = max(foam, max(trail, bow * 0.7) * clamp(shape.x * 0.2, 0.0, 1.5));
+        }
+
+        return foam;
+      }
+
+      void main() {
+        float texel = 1.0 / u_resolution;
+        float cellSize = u_domainSize * texel;
+        vec2 worldXZ = u_domainOrigin + vUV * u_domainSize;
+
+        // Foam persists in world space while the domain follows the camera in whole texels.
+        vec2 previousUV = vUV + u_shift * texel;
+        float previousFoam = 0.0;
+
+        if (all(greaterThanEqual(previousUV, vec2(0.0))) && all(lessThanEqual(previousUV, vec2(1.0)))) {
+          previousFoam = texture2D(u_previousWake, previousUV).a;
+        }
+
+        // The trail is stamped along the path swept this frame, so it is independent of frame rate.
+        float foam = max(previousFoam * exp(-u_foamDecay * u_deltaTime), wakeFoam(worldXZ));
+
+        float height = wakeHeight(worldXZ);
+        vec2 gradient = vec2(
+          wakeHeight(worldXZ + vec2(cellSize, 0.0)) - height,
+          wakeHeight(worldXZ + vec2(0.0, cellSize)) - height
+        ) / cellSize;
+
+        gl_FragColor = vec4(height, gradient, clamp(foam, 0.0, 1.5));
+      }
+    `,
+  },
+};
@@ -0,0 +1,79 @@
+import { Vector3 } from 'three';
+
+// Past this distance from the scene origin (on either horizontal axis) the scene is moved back under the camera, so
+// shader-side world coordinates stay within a few kilometres where float32 still resolves millimetres.
+export const REBASE_DISTANCE = 4096.0;
+// Rebases move the scene by whole multiples of this step, so world-space noise lattices line up across them (see
+// NOISE_PERIOD in OceanMaterial). Anything on a finer lattice snaps in world coordinates instead.
+export const REBASE_STEP = 5120.0;
+
+// Horizontal shift that brings a position back near the origin, or zero while it is still close enough.
+export const computeRebaseShift = (position, target = new Vector3(), distance = REBASE_DISTANCE, step = REBASE_STEP) => {
+  if (Math.max(Math.abs(position.x), Math.abs(position.z)) < distance) {
+    return target.set(0.0, 0.0, 0.0);
+  }
+
+  return target.set(Math.round(position.x / step) * step, 0.0, Math.round(position.z / step) * step);
+};
+
+// Keeps the camera near the scene origin on long flights by moving the camera and every top-level scene object back by
+// the same whole step, and tells listeners (simulations with world-space state) by how much. Objects that are placed
+// relative to the camera or only carry a direction, like the sky dome and sun light, are anchored and left alone.
+export class FloatingOrigin {
+  constructor({ distance = REBASE_DISTANCE, step = REBASE_STEP } = {}) {
+    this.distance = distance;
+    this.step = step;
+
+    // World position of the scene origin.
+    this.offset = new Vector3();
+    this.shift = new Vector3();
+    this.anchored = new Set();
+    this.listeners = new Set();
+  }
+
+  anchor(...objects) {
+    objects.forEach((object) => this.anchored.add(object));
+  }
+
+  release(object) {
+    this.anchored.delete(object);
+  }
+
+  // Listeners get the shift that was just subtracted from the scene and the new origin offset; returns an unsubscribe.
+  onRebase(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Call once per frame after the camera has moved and before anything reads world positions. Returns whether the scene
+  // was rebased.
+  update(camera, scene) {
+    computeRebaseShift(camera.position, this.shift, this.distance, this.step);
+
+    if (this.shift.x === 0.0 && this.shift.z === 0.0) {
+      return false;
+    }
+
+    this.offset.add(this.shift);
+    camera.position.sub(this.shift);
+
+    scene.children.forEach((object) => {
+      if (object !== camera && !this.anchored.has(object)) {
+        object.position.sub(this.shift);
+      }
+    });
+
+    camera.updateMatrixWorld();
+    this.listeners.forEach((listener) => listener(this.shift, this.offset));
+
+    return true;
+  }
+
+  toWorld(position, target = new Vector3()) {
+    return target.copy(position).add(this.offset);
+  }
+
+  toScene(position, target = new Vector3()) {
+    return target.copy(position).sub(this.offset);
+  }
+}
@@ -0,0 +1,52 @@
+import { Group, Object3D, PerspectiveCamera, Scene, Vector3 } from 'three';
+import { describe, expect, it } from 'vitest';
+import { NOISE_PERIOD, WORLD_NOISE_FREQUENCIES } from '../ocean/render/OceanMaterial';
+import { computeRebaseShift, FloatingOrigin, REBASE_DISTANCE, REBASE_STEP } from './FloatingOrigin';
+
+describe('computeRebaseShift', () => {
+  it('waits for the threshold and then shifts by whole steps', () => {
+    expect(computeRebaseShift(new Vector3(REBASE_DISTANCE - 1.0, 40.0, -200.0)).lengthSq()).toBe(0.0);
+
+    const shift = computeRebaseShift(new Vector3(4200.0, 40.0, -12000.0));
+
+    expect(shift.x).toBe(REBASE_STEP);
+    expect(shift.y).toBe(0.0);
+    expect(shift.z).toBe(-2.0 * REBASE_STEP);
+  });
+
+  it('keeps the world-space noise lattices aligned', () => {
+    WORLD_NOISE_FREQUENCIES.forEach((frequency) => {
+      const periods = (REBASE_STEP * frequency) / NOISE_PERIOD;
+      expect(Math.abs(periods - Math.round(periods))).toBeLessThan(1e-9);
+    });
+  });
+});
+
+describe('FloatingOrigin', () => {
+  it('moves the camera and free objects back together and reports the shift', () => {
+    const scene = new Scene();
+    const camera = new PerspectiveCamera();
+    const boat = new Object3D();
+    const sky = new Group();
+    const floatingOrigin = new FloatingOrigin();
+    const shifts = [];
+
+    camera.position.set(6000.0, 12.0, 100.0);
+    boat.position.set(6030.0, 0.0, 80.0);
+    scene.add(boat, sky);
+    floatingOrigin.anchor(sky);
+    floatingOrigin.onRebase((shift, offset) => shifts.push([shift.clone(), offset.clone()]));
+
+    expect(floatingOrigin.update(camera, scene)).toBe(true);
+    expect(camera.position.x).toBeCloseTo(6000.0 - REBASE_STEP);
+    expect(camera.position.y).toBe(12.0);
+    expect(boat.position.x - camera.position.x).toBeCloseTo(30.0);
+    expect(sky.position.lengthSq()).toBe(0.0);
+    expect(floatingOrigin.toWorld(boat.position).x).toBeCloseTo(6030.0);
+    expect(shifts).toHaveLength(1);
+    expect(shifts[0][1].x).toBe(REBASE_STEP);
+
+    expect(floatingOrigin.update(camera, scene)).toBe(false);
+    expect(shifts).toHaveLength(1);
+  });
+});
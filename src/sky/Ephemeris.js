@@ -0,0 +1,118 @@
+import { MathUtils } from 'three';
+
+// Low-precision solar and lunar positions from the Astronomical Almanac (sun about 0.01 degrees, moon about 0.3 degrees
+// between 1950 and 2050). Angles are degrees; azimuth runs from north through east.
+
+const J2000 = 2451545.0;
+const sin = (degrees) => Math.sin(MathUtils.degToRad(degrees));
+const cos = (degrees) => Math.cos(MathUtils.degToRad(degrees));
+const wrap = (degrees) => MathUtils.euclideanModulo(degrees, 360.0);
+
+export const getJulianDate = (date) => date.getTime() / 86400000.0 + 2440587.5;
+
+export const getLocalSiderealTime = (date, longitude) => wrap(280.46061837 + 360.98564736629 * (getJulianDate(date) - J2000) + longitude);
+
+const getObliquity = (days) => 23.439 - 0.0000004 * days;
+
+const getSunEcliptic = (days) => {
+  const meanLongitude = 280.46 + 0.9856474 * days;
+  const meanAnomaly = 357.528 + 0.9856003 * days;
+
+  return wrap(meanLongitude + 1.915 * sin(meanAnomaly) + 0.02 * sin(2.0 * meanAnomaly));
+};
+
+const getMoonEcliptic = (days) => {
+  const t = days / 36525.0;
+
+  return {
+    longitude: wrap(
+      218.32 +
+        481267.881 * t +
+        6.29 * sin(134.9 + 477198.85 * t) -
+        1.27 * sin(259.2 - 413335.38 * t) +
+        0.66 * sin(235.7 + 890534.23 * t) +
+        0.21 * sin(269.9 + 954397.7 * t) -
+        0.19 * sin(357.5 + 35999.05 * t) -
+        0.11 * sin(186.6 + 966404.05 * t)
+    ),
+    latitude:
+      5.13 * sin(93.3 + 483202.03 * t) +
+      0.28 * sin(228.2 + 960400.87 * t) -
+      0.28 * sin(318.3 + 6003.18 * t) -
+      0.17 * sin(217.6 - 407332.2 * t),
+    parallax:
+      0.9508 +
+      0.0518 * cos(134.9 + 477198.85 * t) +
+      0.0095 * cos(259.2 - 413335.38 * t) +
+      0.0078 * cos(235.7 + 890534.23 * t) +
+      0.0028 * cos(269.9 + 954397.7 * t),
+  };
+};
+
+const toEquatorial = (longitude, latitude, obliquity) => ({
+  rightAscension: wrap(
+    MathUtils.radToDeg(Math.atan2(sin(longitude) * cos(obliquity) - Math.tan(MathUtils.degToRad(latitude)) * sin(obliquity), cos(longitude)))
+  ),
+  declination: MathUtils.radToDeg(Math.asin(sin(latitude) * cos(obliquity) + cos(latitude) * sin(obliquity) * sin(longitude))),
+});
+
+const toHorizontal = (rightAscension, declination, date, latitude, longitude) => {
+  const hourAngle = getLocalSiderealTime(date, longitude) - rightAscension;
+
+  return {
+    elevation: MathUtils.radToDeg(Math.asin(MathUtils.clamp(sin(latitude) * sin(declination) + cos(latitude) * cos(declination) * cos(hourAngle), -1.0, 1.0))),
+    azimuth: wrap(
+      MathUtils.radToDeg(
+        Math.atan2(-cos(declination) * sin(hourAngle), sin(declination) * cos(latitude) - cos(declination) * sin(latitude) * cos(hourAngle))
+      )
+    ),
+  };
+};
+
+// Saemundsson's formula, from the true elevation. Below the horizon there is no line of sight to bend.
+export const getRefraction = (elevation) => (elevation > -1.0 ? 1.02 / 60.0 / Math.tan(MathUtils.degToRad(elevation + 10.3 / (elevation + 5.11))) : 0.0);
+
+// Apparent position of the sun's centre, refraction included.
+export const getSunPosition = (date, latitude, longitude) => {
+  const days = getJulianDate(date) - J2000;
+  const { rightAscension, declination } = toEquatorial(getSunEcliptic(days), 0.0, getObliquity(days));
+  const { elevation, azimuth } = toHorizontal(rightAscension, declination, date, latitude, longitude);
+
+  return { elevation: elevation + getRefraction(elevation), azimuth, rightAscension, declination };
+};
+
+// Apparent position of the moon's centre as seen from the surface (parallax and refraction included), with its phase:
+// 0 new, 0.25 first quarter, 0.5 full. Illumination is the lit fraction of the disc.
+export const getMoonPosition = (date, latitude, longitude) => {
+  const days = getJulianDate(date) - J2000;
+  const moon = getMoonEcliptic(days);
+  const { rightAscension, declination } = toEquatorial(moon.longitude, moon.latitude, getObliquity(days));
+  const horizontal = toHorizontal(rightAscension, declination, date, latitude, longitude);
+  const elevation = horizontal.elevation - MathUtils.radToDeg(Math.asin(sin(moon.parallax) * cos(horizontal.elevation)));
+  const longitudeFromSun = wrap(moon.longitude - getSunEcliptic(days));
+
+  return {
+    elevation: elevation + getRefraction(elevation),
+    azimuth: horizontal.azimuth,
+    rightAscension,
+    declination,
+    phase: longitudeFromSun / 360.0,
+    illumination: (1.0 - cos(longitudeFromSun) * cos(moon.latitude)) * 0.5,
+  };
+};
+
+// GUI text in UTC: "2024-06-21 04:30". Returns null for anything that does not parse.
+export const parseUtcDateTime = (text) => {
+  const match = /^\s*(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})\s*$/.exec(text);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+
+  return date.getUTCMonth() === month - 1 && hours < 24 && minutes < 60 ? date : null;
+};
+
+export const formatUtcDateTime = (date) => date.toISOString().slice(0, 16).replace('T', ' ');
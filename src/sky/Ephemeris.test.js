@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { formatUtcDateTime, getMoonPosition, getRefraction, getSunPosition, parseUtcDateTime } from './Ephemeris';
+
+const LONDON = [51.5074, -0.1278];
+
+const getSeparation = (a, b) => {
+  const toVector = ({ elevation, azimuth }) => {
+    const e = (elevation * Math.PI) / 180.0;
+    const z = (azimuth * Math.PI) / 180.0;
+    return [Math.cos(e) * Math.sin(z), Math.sin(e), Math.cos(e) * Math.cos(z)];
+  };
+  const [ax, ay, az] = toVector(a);
+  const [bx, by, bz] = toVector(b);
+
+  return (Math.acos(Math.min(ax * bx + ay * by + az * bz, 1.0)) * 180.0) / Math.PI;
+};
+
+describe('getSunPosition', () => {
+  it('matches the declination at the 2024 solstice and equinox', () => {
+    expect(getSunPosition(new Date('2024-06-20T20:51Z'), 0.0, 0.0).declination).toBeCloseTo(23.44, 1);
+    expect(getSunPosition(new Date('2024-03-20T03:06Z'), 0.0, 0.0).declination).toBeCloseTo(0.0, 1);
+  });
+
+  it('puts the upper limb on the horizon at the almanac sunrise and sunset in London', () => {
+    // 21 June 2024: sunrise 03:43 UTC at azimuth 49, sunset 20:21 UTC at azimuth 311. The centre is then one
+    // semi-diameter (0.27 degrees) below the apparent horizon.
+    const sunrise = getSunPosition(new Date('2024-06-21T03:43Z'), ...LONDON);
+    const sunset = getSunPosition(new Date('2024-06-21T20:21Z'), ...LONDON);
+
+    expect(Math.abs(sunrise.elevation + 0.27)).toBeLessThan(0.15);
+    expect(Math.abs(sunset.elevation + 0.27)).toBeLessThan(0.15);
+    expect(Math.abs(sunrise.azimuth - 49.0)).toBeLessThan(1.0);
+    expect(Math.abs(sunset.azimuth - 311.0)).toBeLessThan(1.0);
+  });
+
+  it('matches the sun altitude at greatest eclipse', () => {
+    // 8 April 2024 at 25.29 N 104.14 W, sun altitude 69.8; 21 August 2017 at 36.97 N 87.67 W, sun altitude 64.0.
+    expect(getSunPosition(new Date('2024-04-08T18:17:16Z'), 25.29, -104.14).elevation).toBeCloseTo(69.8, 0);
+    expect(getSunPosition(new Date('2017-08-21T18:25:32Z'), 36.97, -87.67).elevation).toBeCloseTo(64.0, 0);
+  });
+});
+
+describe('getMoonPosition', () => {
+  it('covers the sun at the greatest eclipses of 2024 and 2017', () => {
+    [
+      ['2024-04-08T18:17:16Z', 25.29, -104.14],
+      ['2017-08-21T18:25:32Z', 36.97, -87.67],
+    ].forEach(([time, latitude, longitude]) => {
+      const date = new Date(time);
+      const moon = getMoonPosition(date, latitude, longitude);
+
+      expect(getSeparation(moon, getSunPosition(date, latitude, longitude))).toBeLessThan(0.5);
+      expect(moon.illumination).toBeLessThan(0.01);
+    });
+  });
+
+  it('is full and new at the almanac times of January 2024', () => {
+    const full = getMoonPosition(new Date('2024-01-25T17:54Z'), ...LONDON);
+    const newMoon = getMoonPosition(new Date('2024-01-11T11:57Z'), ...LONDON);
+    const firstQuarter = getMoonPosition(new Date('2024-01-18T03:53Z'), ...LONDON);
+
+    expect(full.phase).toBeCloseTo(0.5, 2);
+    expect(full.illumination).toBeGreaterThan(0.99);
+    expect(Math.min(newMoon.phase, 1.0 - newMoon.phase)).toBeLessThan(0.01);
+    expect(firstQuarter.phase).toBeCloseTo(0.25, 2);
+    expect(firstQuarter.illumination).toBeCloseTo(0.5, 1);
+  });
+});
+
+describe('getRefraction', () => {
+  it('lifts a body on the true horizon by about half a degree and vanishes overhead', () => {
+    expect(getRefraction(0.0) * 60.0).toBeCloseTo(29.0, -1);
+    expect(getRefraction(90.0)).toBeCloseTo(0.0, 4);
+    expect(getRefraction(-5.0)).toBe(0.0);
+  });
+});
+
+describe('UTC date text', () => {
+  it('parses what it formats and rejects anything else', () => {
+    const date = parseUtcDateTime('2024-06-21 04:30');
+
+    expect(date.toISOString()).toBe('2024-06-21T04:30:00.000Z');
+    expect(formatUtcDateTime(date)).toBe('2024-06-21 04:30');
+    expect(parseUtcDateTime('2024-02-30 04:30')).toBeNull();
+    expect(parseUtcDateTime('2024-06-21 24:10')).toBeNull();
+    expect(parseUtcDateTime('21/06/2024')).toBeNull();
+  });
+});
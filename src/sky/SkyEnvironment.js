@@ -0,0 +1,79 @@
+import { CubeCamera, HalfFloatType, MathUtils, PMREMGenerator, Scene, Vector3, WebGLCubeRenderTarget } from 'three';
+import { ENVIRONMENT_SIZE } from '../ocean/render/OceanMaterial';
+
+// A capture costs six sky renders and the PMREM passes, so the sun has to move about a sun diameter (or the horizon
+// dip change noticeably) before the sky is captured again. A fast clock or a climbing camera crosses those thresholds
+// every frame, so captures are also spaced at least this many seconds apart.
+const RECAPTURE_SUN_ANGLE = MathUtils.degToRad(0.5);
+const RECAPTURE_HORIZON_DIP = MathUtils.degToRad(0.05);
+export const RECAPTURE_INTERVAL = 0.5;
+
+export const shouldRecapture = ({ sunDirection, horizonDip }, capturedSunDirection, capturedHorizonDip) =>
+  sunDirection.angleTo(capturedSunDirection) > RECAPTURE_SUN_ANGLE || Math.abs(horizonDip - capturedHorizonDip) > RECAPTURE_HORIZON_DIP;
+
+// Renders the SkySystem dome into a cube map and prefilters it with PMREM, for the ocean to sample by roughness and for
+// scene.environment to light PBR materials. The sun disc is left out: the directional light and the ocean's specular
+// term already carry it.
+export class SkyEnvironment {
+  constructor({ renderer, skySystem, size = ENVIRONMENT_SIZE }) {
+    this.renderer = renderer;
+    this.skySystem = skySystem;
+
+    // The dome is moved into this scene for the capture and back again.
+    this.scene = new Scene();
+    this.cubeTarget = new WebGLCubeRenderTarget(size, { type: HalfFloatType });
+    this.cubeCamera = new CubeCamera(1.0, 1000.0, this.cubeTarget);
+    this.pmremGenerator = new PMREMGenerator(renderer);
+
+    this.target = null;
+    this.capturedSunDirection = new Vector3();
+    this.capturedHorizonDip = 0.0;
+    this.timeSinceCapture = 0.0;
+  }
+
+  // Returns whether the environment was captured again.
+  update(deltaTime) {
+    this.timeSinceCapture += deltaTime;
+
+    if (
+      this.target &&
+      (this.timeSinceCapture < RECAPTURE_INTERVAL || !shouldRecapture(this.skySystem, this.capturedSunDirection, this.capturedHorizonDip))
+    ) {
+      return false;
+    }
+
+    const { sky } = this.skySystem;
+    const parent = sky.parent;
+
+    this.skySystem.setSunDiscVisible(false);
+    this.scene.add(sky);
+    this.cubeCamera.update(this.renderer, this.scene);
+
+    if (parent) {
+      parent.add(sky);
+    }
+
+    this.skySystem.setSunDiscVisible(true);
+
+    // The PMREM target is reused, so its texture stays the same object across captures.
+    this.target = this.pmremGenerator.fromCubemap(this.cubeTarget.texture, this.target);
+    this.capturedSunDirection.copy(this.skySystem.sunDirection);
+    this.capturedHorizonDip = this.skySystem.horizonDip;
+    this.timeSinceCapture = 0.0;
+
+    return true;
+  }
+
+  getTexture() {
+    return this.target ? this.target.texture : null;
+  }
+
+  dispose() {
+    this.cubeTarget.dispose();
+    this.pmremGenerator.dispose();
+
+    if (this.target) {
+      this.target.dispose();
+    }
+  }
+}
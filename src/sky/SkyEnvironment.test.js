@@ -0,0 +1,57 @@
+import { MathUtils, Scene, Vector3 } from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import { RECAPTURE_INTERVAL, shouldRecapture, SkyEnvironment } from './SkyEnvironment';
+import { SkySystem } from './SkySystem';
+
+const getSunDirection = (elevation) =>
+  new Vector3().setFromSphericalCoords(1.0, MathUtils.degToRad(90.0 - elevation), MathUtils.degToRad(170.0));
+
+describe('shouldRecapture', () => {
+  it('waits for the sun to move about its own diameter', () => {
+    const captured = getSunDirection(20.0);
+
+    expect(shouldRecapture({ sunDirection: getSunDirection(20.2), horizonDip: 0.0 }, captured, 0.0)).toBe(false);
+    expect(shouldRecapture({ sunDirection: getSunDirection(20.6), horizonDip: 0.0 }, captured, 0.0)).toBe(true);
+  });
+
+  it('recaptures when the horizon dips with the camera', () => {
+    const captured = getSunDirection(20.0);
+
+    expect(shouldRecapture({ sunDirection: captured, horizonDip: MathUtils.degToRad(0.02) }, captured, 0.0)).toBe(false);
+    expect(shouldRecapture({ sunDirection: captured, horizonDip: MathUtils.degToRad(1.4) }, captured, 0.0)).toBe(true);
+  });
+});
+
+describe('SkyEnvironment', () => {
+  it('spaces captures out while the clock runs fast', () => {
+    const skySystem = new SkySystem(new Scene());
+    const environment = new SkyEnvironment({ renderer: {}, skySystem, size: 16 });
+    const camera = { position: { x: 0.0, y: 0.0, z: 0.0 } };
+    // Nothing is rendered here: stand-ins for the cube camera and the prefilter count the captures.
+    environment.cubeCamera = { update: vi.fn() };
+    environment.pmremGenerator = { fromCubemap: vi.fn(() => ({ texture: {}, dispose: () => {} })), dispose: () => {} };
+
+    // Two hours a second moves the sun about half a degree every frame.
+    skySystem.setSun(10.0, 90.0);
+    skySystem.setTimeSpeed(2.0);
+    let captures = 0;
+
+    for (let frame = 0; frame < 120; frame += 1) {
+      skySystem.update(1.0 / 60.0, camera);
+      captures += environment.update(1.0 / 60.0) ? 1 : 0;
+    }
+
+    // Two seconds: the first frame plus one per interval at most, where every frame would have qualified.
+    expect(captures).toBeGreaterThan(1);
+    expect(captures).toBeLessThanOrEqual(1 + 2.0 / RECAPTURE_INTERVAL);
+    expect(environment.cubeCamera.update).toHaveBeenCalledTimes(captures);
+
+    // A held clock stops capturing once the last sun position is in.
+    skySystem.setTimeSpeed(0.0);
+    environment.update(RECAPTURE_INTERVAL);
+    expect(environment.update(RECAPTURE_INTERVAL)).toBe(false);
+
+    environment.dispose();
+    skySystem.dispose();
+  });
+});
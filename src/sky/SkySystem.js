@@ -1,5 +1,149 @@
-import { Color, DirectionalLight, MathUtils, Vector3 } from 'three';
+import {
+  AdditiveBlending,
+  BufferGeometry,
+  Color,
+  DirectionalLight,
+  Float32BufferAttribute,
+  Group,
+  MathUtils,
+  Mesh,
+  Points,
+  PointsMaterial,
+  ShaderMaterial,
+  SphereGeometry,
+  Vector3,
+} from 'three';
 import { Sky } from 'three/examples/jsm/objects/Sky.js';
+import { createSeededRandom } from '../ocean/simulation/seededRandom';
+import { getLocalSiderealTime, getMoonPosition, getSunPosition, parseUtcDateTime } from './Ephemeris';
+
+// Observer location and date until the GUI sets them. Azimuth 0 is north (+z) and 90 is east (-x): three.js is
+// right-handed with y up, so facing south (-z) puts west (+x) on the right and the sun crosses from left to right.
+const DEFAULT_LATITUDE = 38.0;
+const DEFAULT_LONGITUDE = 0.0;
+const DEFAULT_DATE = '2024-06-21T12:00:00Z';
+// The celestial frame degenerates at the poles.
+const MAX_LATITUDE = 89.9;
+// Moon and stars sit around the camera, inside the far plane but well beyond anything else in the scene.
+const CELESTIAL_DISTANCE = 150000.0;
+const MOON_ANGULAR_RADIUS = MathUtils.degToRad(0.35);
+const MOON_COLOR = new Color(0xc4d2ff);
+const MOON_LIGHT_INTENSITY = 0.9;
+// Moon radiance handed to the water, relative to a sunColor near white.
+const MOON_BRIGHTNESS = 0.16;
+const STAR_COUNT = 2600;
+const STAR_SEED = 7919;
+const NIGHT_ZENITH_COLOR = new Color(0x02050d);
+const NIGHT_HORIZON_COLOR = new Color(0x0a1424);
+const nightColor = new Color();
+
+const smoothstep = (edge0, edge1, value) => {
+  const t = MathUtils.clamp((value - edge0) / (edge1 - edge0), 0.0, 1.0);
+  return t * t * (3.0 - 2.0 * t);
+};
+
+// Celestial frame of an observer at a latitude (degrees): the north pole, the point where the equator crosses the
+// meridian above the horizon, and west.
+export const createCelestialFrame = (latitude) => {
+  const phi = MathUtils.degToRad(latitude);
+  const pole = new Vector3(0.0, Math.sin(phi), Math.cos(phi));
+  const meridian = new Vector3(0.0, Math.cos(phi), -Math.sin(phi));
+
+  return { pole, meridian, west: new Vector3().crossVectors(meridian, pole) };
+};
+
+// Direction of a body at an hour angle (radians, positive after it crossed the meridian) and declination.
+export const getCelestialDirection = ({ pole, meridian, west }, hourAngle, declination, target = new Vector3()) =>
+  target
+    .copy(meridian)
+    .multiplyScalar(Math.cos(declination) * Math.cos(hourAngle))
+    .addScaledVector(west, Math.cos(declination) * Math.sin(hourAngle))
+    .addScaledVector(pole, Math.sin(declination));
+
+export const getHourAngle = ({ meridian, west }, direction) => Math.atan2(direction.dot(west), direction.dot(meridian));
+
+export const getDeclination = ({ pole }, direction) => Math.asin(MathUtils.clamp(direction.dot(pole), -1.0, 1.0));
+
+export const setFromElevationAzimuth = (target, elevation, azimuth) => {
+  const e = MathUtils.degToRad(elevation);
+  const a = MathUtils.degToRad(azimuth);
+
+  return target.set(-Math.cos(e) * Math.sin(a), Math.sin(e), Math.cos(e) * Math.cos(a));
+};
+
+export const getAzimuth = (direction) => MathUtils.euclideanModulo(MathUtils.radToDeg(Math.atan2(-direction.x, direction.z)), 360.0);
+
+// 0 is a new moon, 0.5 a full one.
+export const getMoonIllumination = (phase) => (1.0 - Math.cos(phase * Math.PI * 2.0)) * 0.5;
+
+const createStars = () => {
+  const random = createSeededRandom(STAR_SEED);
+  const positions = [];
+  const colors = [];
+  const color = new Color();
+
+  for (let i = 0; i < STAR_COUNT; i += 1) {
+    const y = random() * 2.0 - 1.0;
+    const angle = random() * Math.PI * 2.0;
+    const ring = Math.sqrt(1.0 - y * y);
+    positions.push(ring * Math.cos(angle) * CELESTIAL_DISTANCE, y * CELESTIAL_DISTANCE, ring * Math.sin(angle) * CELESTIAL_DISTANCE);
+
+    // Few bright stars and many faint ones, from blue-white to warm.
+    color.setHSL(MathUtils.lerp(0.08, 0.62, random()), 0.35, 0.25 + random() ** 6 * 0.7);
+    colors.push(color.r, color.g, color.b);
+  }
+
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new Float32BufferAttribute(colors, 3));
+
+  const material = new PointsMaterial({
+    size: 2.0,
+    sizeAttenuation: false,
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.0,
+    blending: AdditiveBlending,
+    depthWrite: false,
+    fog: false,
+  });
+
+  return new Points(geometry, material);
+};
+
+// Lit by the actual sun direction, so the phase follows from where the moon sits relative to the sun.
+const createMoon = () => {
+  const radius = CELESTIAL_DISTANCE * Math.tan(MOON_ANGULAR_RADIUS);
+  const material = new ShaderMaterial({
+    uniforms: {
+      uSunDirection: { value: new Vector3(0.0, 1.0, 0.0) },
+      uColor: { value: MOON_COLOR.clone() },
+    },
+    vertexShader: `
+      varying vec3 vNormalWorld;
+
+      void main() {
+        vNormalWorld = normalize(mat3(modelMatrix) * normal);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 uSunDirection;
+      uniform vec3 uColor;
+
+      varying vec3 vNormalWorld;
+
+      void main() {
+        float lit = smoothstep(-0.04, 0.12, dot(normalize(vNormalWorld), uSunDirection));
+        // Earthshine keeps the dark side faintly visible against the night sky.
+        gl_FragColor = vec4(uColor * (0.02 + lit * 1.4), 1.0);
+      }
+    `,
+    fog: false,
+  });
+
+  return new Mesh(new SphereGeometry(radius, 32, 16), material);
+};
 
 export class SkySystem {
   constructor(scene) {
@@ -7,19 +151,47 @@ export class SkySystem {
 
     this.sky = new Sky();
     this.sky.scale.setScalar(450000);
+    this.#patchSkyShader();
     this.scene.add(this.sky);
 
     this.light = new DirectionalLight(0xffffff, 4.5);
     this.light.position.set(5000, 4500, 3000);
     this.scene.add(this.light);
 
+    this.moonLight = new DirectionalLight(MOON_COLOR, 0.0);
+    this.scene.add(this.moonLight);
+
+    // Moon and stars follow the camera (see update).
+    this.celestial = new Group();
+    this.stars = createStars();
+    this.moon = createMoon();
+    this.celestial.add(this.stars, this.moon);
+    this.scene.add(this.celestial);
+
     this.sunDirection = new Vector3(0.3, 0.5, 0.2).normalize();
+    this.sunPath = new Vector3();
     this.sunColor = new Color(0xfff0d8);
+    this.moonDirection = new Vector3(0.0, -1.0, 0.0);
+    this.moonColor = new Color(0x000000);
     this.skyZenithColor = new Color(0x4f84c4);
     this.skyHorizonColor = new Color(0xaac7de);
 
     this.sunElevation = 18.0;
     this.sunAzimuth = 170.0;
+    this.horizonDip = 0.0;
+    // Set from the sun position, so the time of day continues from wherever the sun was placed.
+    this.timeOfDay = 12.0;
+    this.sunDeclination = 0.0;
+    // Hours of simulated time per second; zero holds the clock.
+    this.timeSpeed = 0.0;
+    this.moonPhase = 0.5;
+
+    // With the ephemeris on, sun and moon follow the date at this location; placing either by hand turns it off.
+    this.latitude = DEFAULT_LATITUDE;
+    this.longitude = DEFAULT_LONGITUDE;
+    this.date = new Date(DEFAULT_DATE);
+    this.useEphemeris = false;
+    this.frame = createCelestialFrame(this.latitude);
 
     const skyUniforms = this.sky.material.uniforms;
     skyUniforms.turbidity.value = 8.0;
@@ -30,7 +202,33 @@ export class SkySystem {
     this.setSun(this.sunElevation, this.sunAzimuth);
   }
 
-  #updateColors(dayFactor) {
+  // On a curved planet the sea horizon dips below eye level; the optical-depth horizon of the sky moves down with it so
+  // the brightest band meets the water instead of floating above it. The sun disc can be switched off for environment
+  // captures, where the lights already stand for it.
+  #patchSkyShader() {
+    const material = this.sky.material;
+
+    material.uniforms.horizonDip = { value: 0.0 };
+    material.uniforms.sunDisc = { value: 1.0 };
+    material.fragmentShader = material.fragmentShader
+      .replace('uniform vec3 up;', 'uniform vec3 up;\nuniform float horizonDip;\nuniform float sunDisc;')
+      .replace(
+        'float zenithAngle = acos( max( 0.0, dot( up, direction ) ) );',
+        'float zenithAngle = acos( clamp( dot( up, direction ) + horizonDip, 0.0, 1.0 ) );'
+      )
+      .replace('L0 += ( vSunE * 19000.0 * Fex ) * sundisk;', 'L0 += ( vSunE * 19000.0 * Fex ) * sundisk * sunDisc;');
+  }
+
+  setHorizonDip(radians) {
+    this.horizonDip = radians;
+    this.sky.material.uniforms.horizonDip.value = radians;
+  }
+
+  setSunDiscVisible(visible) {
+    this.sky.material.uniforms.sunDisc.value = visible ? 1.0 : 0.0;
+  }
+
+  #updateColors(dayFactor, nightFactor, moonlight) {
     this.skyZenithColor.setHSL(
       MathUtils.lerp(0.62, 0.58, dayFactor),
       MathUtils.lerp(0.52, 0.43, dayFactor),
@@ -48,19 +246,33 @@ export class SkySystem {
       MathUtils.lerp(0.84, 0.35, dayFactor),
       MathUtils.lerp(0.58, 0.95, dayFactor)
     );
+
+    // Past dusk the sky settles to a deep blue that a high full moon lifts a little.
+    const nightBrightness = 1.0 + moonlight * 1.5;
+    this.skyZenithColor.lerp(nightColor.copy(NIGHT_ZENITH_COLOR).multiplyScalar(nightBrightness), nightFactor);
+    this.skyHorizonColor.lerp(nightColor.copy(NIGHT_HORIZON_COLOR).multiplyScalar(nightBrightness), nightFactor);
   }
 
   setSun(elevationDegrees, azimuthDegrees = this.sunAzimuth) {
-    this.sunElevation = MathUtils.clamp(elevationDegrees, 1.0, 88.0);
-    this.sunAzimuth = azimuthDegrees;
+    this.useEphemeris = false;
+    this.#placeSun(elevationDegrees, azimuthDegrees);
+  }
 
-    const phi = MathUtils.degToRad(90.0 - this.sunElevation);
-    const theta = MathUtils.degToRad(this.sunAzimuth);
+  #placeSun(elevationDegrees, azimuthDegrees) {
+    this.sunElevation = MathUtils.clamp(elevationDegrees, -90.0, 90.0);
+    this.sunAzimuth = MathUtils.euclideanModulo(azimuthDegrees, 360.0);
 
-    this.sunDirection.setFromSphericalCoords(1.0, phi, theta).normalize();
+    setFromElevationAzimuth(this.sunDirection, this.sunElevation, this.sunAzimuth);
+    this.sunDeclination = getDeclination(this.frame, this.sunDirection);
+    this.timeOfDay = MathUtils.euclideanModulo(12.0 + (getHourAngle(this.frame, this.sunDirection) * 12.0) / Math.PI, 24.0);
+    this.#updateCelestial();
 
+    // Direct sunlight is gone once the disc has set; the sky keeps glowing through twilight, 12 degrees below.
+    const sunVisibility = smoothstep(-3.0, 1.0, this.sunElevation);
+    const nightFactor = 1.0 - smoothstep(-12.0, 2.0, this.sunElevation);
     const dayFactor = MathUtils.clamp((this.sunElevation + 5.0) / 80.0, 0.0, 1.0);
-    this.#updateColors(dayFactor);
+    this.#updateColors(dayFactor, nightFactor, this.getMoonlight());
+    this.sunColor.multiplyScalar(sunVisibility);
 
     const skyUniforms = this.sky.material.uniforms;
     skyUniforms.sunPosition.value.copy(this.sunDirection).multiplyScalar(450000);
@@ -71,13 +283,158 @@ export class SkySystem {
 
     this.light.position.copy(this.sunDirection).multiplyScalar(120000);
     this.light.color.copy(this.sunColor);
-    this.light.intensity = MathUtils.lerp(0.25, 7.5, dayFactor);
+    this.light.intensity = MathUtils.lerp(0.25, 7.5, dayFactor) * sunVisibility;
+
+    this.stars.material.opacity = 1.0 - smoothstep(-14.0, -4.0, this.sunElevation);
+  }
+
+  // Moves the sun along its daily path; hours are apparent solar time. Without the ephemeris the path keeps the current
+  // declination, with it the date moves to the nearest moment with that solar time.
+  setTimeOfDay(hours) {
+    if (this.useEphemeris) {
+      const shift = MathUtils.euclideanModulo(hours - this.timeOfDay + 12.0, 24.0) - 12.0;
+      this.setDate(new Date(this.date.getTime() + shift * 3600000.0));
+      return;
+    }
+
+    const direction = getCelestialDirection(this.frame, ((hours - 12.0) * Math.PI) / 12.0, this.sunDeclination, this.sunPath);
+    const elevation = MathUtils.radToDeg(Math.asin(MathUtils.clamp(direction.y, -1.0, 1.0)));
+
+    this.#placeSun(elevation, getAzimuth(direction));
+  }
+
+  setTimeSpeed(hoursPerSecond) {
+    this.timeSpeed = Math.max(hoursPerSecond, 0.0);
+  }
+
+  setMoonPhase(phase) {
+    this.useEphemeris = false;
+    this.moonPhase = MathUtils.euclideanModulo(phase, 1.0);
+    this.#placeSun(this.sunElevation, this.sunAzimuth);
+  }
+
+  // Degrees north and east.
+  setLocation(latitude, longitude) {
+    this.latitude = MathUtils.clamp(latitude, -MAX_LATITUDE, MAX_LATITUDE);
+    this.longitude = MathUtils.euclideanModulo(longitude + 180.0, 360.0) - 180.0;
+    this.frame = createCelestialFrame(this.latitude);
+
+    if (this.useEphemeris) {
+      this.#applyEphemeris();
+    } else {
+      this.#placeSun(this.sunElevation, this.sunAzimuth);
+    }
+  }
+
+  setDate(date) {
+    this.date = new Date(date);
+
+    if (this.useEphemeris) {
+      this.#applyEphemeris();
+    }
+  }
+
+  setUseEphemeris(enabled) {
+    this.useEphemeris = enabled;
+
+    if (enabled) {
+      this.#applyEphemeris();
+    }
+  }
+
+  #applyEphemeris() {
+    const sun = getSunPosition(this.date, this.latitude, this.longitude);
+    const moon = getMoonPosition(this.date, this.latitude, this.longitude);
+
+    this.moonPhase = moon.phase;
+    setFromElevationAzimuth(this.moonDirection, moon.elevation, moon.azimuth);
+    this.#placeSun(sun.elevation, sun.azimuth);
+  }
+
+  setParam(key, value) {
+    switch (key) {
+      case 'sunElevation':
+        this.setSun(value);
+        break;
+      case 'sunAzimuth':
+        this.setSun(this.sunElevation, value);
+        break;
+      case 'timeOfDay':
+        this.setTimeOfDay(value);
+        break;
+      case 'timeSpeed':
+        this.setTimeSpeed(value);
+        break;
+      case 'moonPhase':
+        this.setMoonPhase(value);
+        break;
+      case 'useEphemeris':
+        this.setUseEphemeris(value);
+        break;
+      case 'latitude':
+        this.setLocation(value, this.longitude);
+        break;
+      case 'longitude':
+        this.setLocation(this.latitude, value);
+        break;
+      case 'dateTime': {
+        // Text that does not parse leaves the date alone.
+        const date = parseUtcDateTime(value);
+
+        if (date) {
+          this.setDate(date);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // Without the ephemeris the moon trails the sun eastwards by its phase and rides opposite the sun's declination when
+  // full, and the stars turn with the sun, which is close enough to sidereal time over a night.
+  #updateCelestial() {
+    const sunHourAngle = getHourAngle(this.frame, this.sunDirection);
+    const elongation = this.moonPhase * Math.PI * 2.0;
+
+    if (!this.useEphemeris) {
+      getCelestialDirection(this.frame, sunHourAngle - elongation, this.sunDeclination * Math.cos(elongation), this.moonDirection);
+    }
+
+    const starAngle = this.useEphemeris ? MathUtils.degToRad(getLocalSiderealTime(this.date, this.longitude)) : sunHourAngle;
+    this.moon.position.copy(this.moonDirection).multiplyScalar(CELESTIAL_DISTANCE);
+    this.moon.material.uniforms.uSunDirection.value.copy(this.sunDirection);
+    // Westward is clockwise about the pole.
+    this.stars.quaternion.setFromAxisAngle(this.frame.pole, -starAngle);
+
+    const moonlight = this.getMoonlight();
+    this.moonColor.copy(MOON_COLOR).multiplyScalar(moonlight * MOON_BRIGHTNESS);
+    this.moonLight.position.copy(this.moonDirection).multiplyScalar(120000);
+    this.moonLight.intensity = moonlight * MOON_LIGHT_INTENSITY;
+  }
+
+  // 0 to 1: how much light the moon sheds, from its phase and height above the horizon.
+  getMoonlight() {
+    return getMoonIllumination(this.moonPhase) * smoothstep(-0.02, 0.12, this.moonDirection.y);
+  }
+
+  update(deltaTime, camera) {
+    if (this.timeSpeed > 0.0 && this.useEphemeris) {
+      this.setDate(new Date(this.date.getTime() + deltaTime * this.timeSpeed * 3600000.0));
+    } else if (this.timeSpeed > 0.0) {
+      this.setTimeOfDay(this.timeOfDay + deltaTime * this.timeSpeed);
+    }
+
+    this.celestial.position.copy(camera.position);
   }
 
   getLightingState() {
     return {
       sunDirection: this.sunDirection,
       sunColor: this.sunColor,
+      sunIntensity: this.light.intensity,
+      moonDirection: this.moonDirection,
+      moonColor: this.moonColor,
       skyZenithColor: this.skyZenithColor,
       skyHorizonColor: this.skyHorizonColor,
     };
@@ -86,7 +443,13 @@ export class SkySystem {
   dispose() {
     this.scene.remove(this.sky);
     this.scene.remove(this.light);
+    this.scene.remove(this.moonLight);
+    this.scene.remove(this.celestial);
     this.sky.geometry.dispose();
     this.sky.material.dispose();
+    this.stars.geometry.dispose();
+    this.stars.material.dispose();
+    this.moon.geometry.dispose();
+    this.moon.material.dispose();
   }
 }
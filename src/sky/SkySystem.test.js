@@ -0,0 +1,174 @@
+import { MathUtils, PerspectiveCamera, Scene, Vector3 } from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+  createCelestialFrame,
+  getCelestialDirection,
+  getDeclination,
+  getHourAngle,
+  getAzimuth,
+  getMoonIllumination,
+  setFromElevationAzimuth,
+  SkySystem,
+} from './SkySystem';
+
+describe('celestial frame', () => {
+  it('round-trips hour angle and declination', () => {
+    [38.0, -33.9].forEach((latitude) => {
+      const frame = createCelestialFrame(latitude);
+      const direction = getCelestialDirection(frame, 0.7, -0.3);
+
+      expect(direction.length()).toBeCloseTo(1.0);
+      expect(getHourAngle(frame, direction)).toBeCloseTo(0.7);
+      expect(getDeclination(frame, direction)).toBeCloseTo(-0.3);
+    });
+  });
+
+  it('puts east on the left of a viewer facing south', () => {
+    const east = setFromElevationAzimuth(new Vector3(), 0.0, 90.0);
+    const camera = new PerspectiveCamera();
+    camera.lookAt(0.0, 0.0, -1.0);
+    camera.updateMatrixWorld();
+
+    expect(east.x).toBeCloseTo(-1.0);
+    expect(east.clone().applyMatrix4(camera.matrixWorldInverse).x).toBeLessThan(0.0);
+    expect(getAzimuth(east)).toBeCloseTo(90.0);
+    expect(getAzimuth(createCelestialFrame(38.0).west)).toBeCloseTo(270.0);
+  });
+
+  it('lights the moon by its phase', () => {
+    expect(getMoonIllumination(0.0)).toBeCloseTo(0.0);
+    expect(getMoonIllumination(0.25)).toBeCloseTo(0.5);
+    expect(getMoonIllumination(0.5)).toBeCloseTo(1.0);
+  });
+});
+
+describe('SkySystem', () => {
+  it('patches the dome shader for the horizon dip and environment captures', () => {
+    const sky = new SkySystem(new Scene());
+    const { fragmentShader, uniforms } = sky.sky.material;
+
+    expect(fragmentShader).toContain('dot( up, direction ) + horizonDip');
+    expect(fragmentShader).toContain('sundisk * sunDisc');
+
+    sky.setSunDiscVisible(false);
+    expect(uniforms.sunDisc.value).toBe(0.0);
+
+    sky.dispose();
+  });
+
+  it('rises in the east, culminates in the south and sets in the west', () => {
+    const sky = new SkySystem(new Scene());
+    sky.setSun(50.0, 180.0);
+
+    sky.setTimeOfDay(12.0);
+    expect(sky.sunElevation).toBeCloseTo(50.0);
+    expect(sky.sunAzimuth).toBeCloseTo(180.0);
+
+    sky.setTimeOfDay(7.0);
+    expect(sky.sunAzimuth).toBeGreaterThan(0.0);
+    expect(sky.sunAzimuth).toBeLessThan(180.0);
+    expect(sky.timeOfDay).toBeCloseTo(7.0);
+
+    sky.setTimeOfDay(17.0);
+    expect(sky.sunAzimuth).toBeGreaterThan(180.0);
+
+    // Noon at 50 degrees from latitude 38 puts the sun at declination -2, so it bottoms out at 38 - 2 - 90.
+    sky.setTimeOfDay(0.0);
+    expect(sky.sunElevation).toBeCloseTo(-54.0);
+
+    sky.dispose();
+  });
+
+  it('goes dark at night with the stars out and the full moon opposite the sun', () => {
+    const sky = new SkySystem(new Scene());
+    sky.setMoonPhase(0.5);
+    sky.setSun(-30.0, 0.0);
+
+    const { sunColor, sunIntensity, moonDirection, moonColor, skyZenithColor } = sky.getLightingState();
+
+    expect(sunIntensity).toBe(0.0);
+    expect(sunColor.getHex()).toBe(0x000000);
+    expect(skyZenithColor.getHSL({}).l).toBeLessThan(0.05);
+    expect(sky.stars.material.opacity).toBeCloseTo(1.0);
+    expect(moonDirection.dot(sky.sunDirection)).toBeLessThan(-0.95);
+    expect(moonColor.b).toBeGreaterThan(0.0);
+    expect(sky.moonLight.intensity).toBeGreaterThan(0.0);
+
+    sky.setMoonPhase(0.0);
+    expect(sky.getLightingState().moonColor.getHex()).toBe(0x000000);
+    expect(MathUtils.radToDeg(sky.getLightingState().moonDirection.angleTo(sky.sunDirection))).toBeLessThan(1e-3);
+
+    sky.dispose();
+  });
+
+  it('follows the ephemeris for a location and date until placed by hand', () => {
+    const sky = new SkySystem(new Scene());
+    // Greatest eclipse of 8 April 2024, with the sun about 70 degrees up.
+    sky.setLocation(25.29, -104.14);
+    sky.setDate(new Date('2024-04-08T18:17:16Z'));
+    sky.setUseEphemeris(true);
+
+    expect(sky.sunElevation).toBeCloseTo(69.8, 0);
+    expect(MathUtils.radToDeg(sky.moonDirection.angleTo(sky.sunDirection))).toBeLessThan(0.5);
+    expect(sky.moonPhase < 0.01 || sky.moonPhase > 0.99).toBe(true);
+
+    const timeOfDay = sky.timeOfDay;
+    sky.setTimeOfDay(timeOfDay + 2.0);
+    expect(sky.date.toISOString()).toBe('2024-04-08T20:17:16.000Z');
+    expect(sky.useEphemeris).toBe(true);
+
+    sky.setTimeSpeed(1.0);
+    sky.update(1.5, { position: { x: 0.0, y: 0.0, z: 0.0 } });
+    expect(sky.date.toISOString()).toBe('2024-04-08T21:47:16.000Z');
+
+    sky.setParam('dateTime', 'not a date');
+    expect(sky.date.toISOString()).toBe('2024-04-08T21:47:16.000Z');
+
+    sky.setSun(30.0, 90.0);
+    expect(sky.useEphemeris).toBe(false);
+    expect(sky.sunElevation).toBe(30.0);
+
+    sky.dispose();
+  });
+
+  it('places a northern morning sun in the east, left of the southward view', () => {
+    const sky = new SkySystem(new Scene());
+    // London at 07:00 UTC on the 2024 March equinox: the sun is about 10 degrees up, a little south of east.
+    sky.setLocation(51.5074, -0.1278);
+    sky.setDate(new Date('2024-03-20T07:00:00Z'));
+    sky.setUseEphemeris(true);
+
+    expect(sky.sunElevation).toBeGreaterThan(5.0);
+    expect(Math.abs(sky.sunAzimuth - 100.0)).toBeLessThan(10.0);
+    expect(sky.sunDirection.x).toBeLessThan(0.0);
+    expect(sky.sunDirection.z).toBeLessThan(0.0);
+    expect(sky.timeOfDay).toBeLessThan(12.0);
+
+    // Stars cross the meridian towards the west as the night goes on.
+    const star = sky.frame.meridian.clone().applyQuaternion(sky.stars.quaternion.clone().invert());
+    sky.setDate(new Date('2024-03-20T08:00:00Z'));
+    expect(star.applyQuaternion(sky.stars.quaternion).dot(sky.frame.west)).toBeGreaterThan(0.0);
+
+    sky.dispose();
+  });
+
+  it('advances the clock while auto-advance is on', () => {
+    const sky = new SkySystem(new Scene());
+    const camera = { position: { x: 5.0, y: 2.0, z: -3.0 } };
+    sky.setTimeOfDay(10.0);
+
+    sky.update(2.0, camera);
+    expect(sky.timeOfDay).toBeCloseTo(10.0);
+
+    sky.setTimeSpeed(0.5);
+    sky.update(2.0, camera);
+    expect(sky.timeOfDay).toBeCloseTo(11.0);
+    expect(sky.celestial.position.x).toBe(5.0);
+
+    sky.setTimeOfDay(23.5);
+    sky.update(2.0, camera);
+    expect(sky.timeOfDay).toBeCloseTo(0.5);
+
+    sky.dispose();
+  });
+});
@@ -1,35 +1,83 @@
 import GUI from 'lil-gui';
 
 export const cinematicPreset = {
+  seed: 20481,
   windSpeed: 16.0,
   windDirection: 225.0,
+  fetchKm: 2000.0,
   choppiness: 1.95,
   foamIntensity: 0.72,
   reflectionStrength: 0.78,
   reflectionDistortion: 0.018,
   sunScatterStrength: 0.32,
   foamScale: 0.19,
+  foamDecay: 0.28,
+  causticsStrength: 0.45,
+  spectrumModel: 'elfouhaily',
+  phillipsAmplitude: 1.0,
+  phillipsCutoff: 0.5,
+  jonswapGamma: 3.3,
+  jonswapSigmaA: 0.07,
+  jonswapSigmaB: 0.09,
+  waterDepth: 500.0,
+  elfouhailyGamma: 1.7,
+  windSeaSpreading: 6.0,
+  swells: [
+    { enabled: true, direction: 305.0, peakPeriod: 13.5, height: 1.6, spreading: 22.0 },
+    { enabled: false, direction: 20.0, peakPeriod: 9.0, height: 0.8, spreading: 14.0 },
+  ],
   reflectionQuality: 'ultra',
+  screenRefraction: true,
   exposure: 1.04,
   sunElevation: 14.0,
+  sunAzimuth: 170.0,
+  timeSpeed: 0.0,
+  moonPhase: 0.5,
   quality: 'balanced',
+  surfaceMode: 'preset',
   lodScale: 1.0,
+  planetCurvature: false,
+  planetRadiusKm: 6371.0,
 };
 
 export const defaultPreset = {
+  seed: 1337,
   windSpeed: 11.0,
   windDirection: 140.0,
+  fetchKm: 2000.0,
   choppiness: 1.45,
   foamIntensity: 0.52,
   reflectionStrength: 0.62,
   reflectionDistortion: 0.016,
   sunScatterStrength: 0.24,
   foamScale: 0.17,
+  foamDecay: 0.35,
+  causticsStrength: 0.35,
+  spectrumModel: 'elfouhaily',
+  phillipsAmplitude: 1.0,
+  phillipsCutoff: 0.5,
+  jonswapGamma: 3.3,
+  jonswapSigmaA: 0.07,
+  jonswapSigmaB: 0.09,
+  waterDepth: 500.0,
+  elfouhailyGamma: 1.7,
+  windSeaSpreading: 6.0,
+  swells: [
+    { enabled: false, direction: 260.0, peakPeriod: 12.0, height: 1.2, spreading: 24.0 },
+    { enabled: false, direction: 20.0, peakPeriod: 9.0, height: 0.8, spreading: 14.0 },
+  ],
   reflectionQuality: 'high',
+  screenRefraction: true,
   exposure: 1.0,
   sunElevation: 24.0,
+  sunAzimuth: 170.0,
+  timeSpeed: 0.0,
+  moonPhase: 0.5,
   quality: 'balanced',
+  surfaceMode: 'preset',
   lodScale: 1.0,
+  planetCurvature: false,
+  planetRadiusKm: 6371.0,
 };
 
 export const createOceanGui = ({
@@ -40,21 +88,114 @@ export const createOceanGui = ({
   onApplyPreset,
   onLodScaleChange,
   onReflectionQualityChange,
+  onScreenRefractionChange,
 }) => {
   const gui = new GUI({ width: 320, title: 'Ocean Controls' });
-  const params = { ...initialParams };
+  const params = structuredClone(initialParams);
 
   const oceanFolder = gui.addFolder('Simulation');
+  oceanFolder.add(params, 'seed', 0, 99999, 1).name('Seed').onFinishChange((value) => onOceanParamChange('seed', value));
   oceanFolder.add(params, 'windSpeed', 2.0, 30.0, 0.1).name('Wind speed').onChange((value) => onOceanParamChange('windSpeed', value));
   oceanFolder.add(params, 'windDirection', 0.0, 360.0, 1.0).name('Wind direction').onChange((value) => onOceanParamChange('windDirection', value));
+  oceanFolder.add(params, 'fetchKm', 1.0, 2000.0, 1.0).name('Fetch (km)').onChange((value) => onOceanParamChange('fetchKm', value));
+  oceanFolder.add(params, 'waterDepth', 1.0, 500.0, 0.5).name('Water depth (m)').onChange((value) => onOceanParamChange('waterDepth', value));
   oceanFolder.add(params, 'choppiness', 0.1, 3.2, 0.01).name('Choppiness').onChange((value) => onOceanParamChange('choppiness', value));
   oceanFolder.add(params, 'foamIntensity', 0.0, 2.5, 0.01).name('Foam intensity').onChange((value) => onOceanParamChange('foamIntensity', value));
-  oceanFolder.add(params, 'foamScale', 0.08, 0.38, 0.005).name('Foam scale').onChange((value) => onOceanParamChange('foamScale', value));
+  oceanFolder.add(params, 'foamScale', 0.08, 0.38, 0.005).name('Foam coverage').onChange((value) => onOceanParamChange('foamScale', value));
+  oceanFolder.add(params, 'foamDecay', 0.05, 3.0, 0.01).name('Foam decay (1/s)').onChange((value) => onOceanParamChange('foamDecay', value));
   oceanFolder.add(params, 'sunScatterStrength', 0.0, 0.7, 0.01).name('Sun scatter').onChange((value) => onOceanParamChange('sunScatterStrength', value));
   oceanFolder.open();
 
+  const spectrumFolder = gui.addFolder('Spectrum');
+  const addSpectrumParam = (models, key, min, max, step, label) => ({
+    models,
+    controller: spectrumFolder.add(params, key, min, max, step).name(label).onChange((value) => onOceanParamChange(key, value)),
+  });
+
+  const spectrumModelController = spectrumFolder.add(params, 'spectrumModel', {
+    Phillips: 'phillips',
+    'Pierson-Moskowitz': 'piersonMoskowitz',
+    JONSWAP: 'jonswap',
+    'TMA (depth-limited)': 'tma',
+    Elfouhaily: 'elfouhaily',
+  });
+
+  const spectrumParamControls = [
+    addSpectrumParam(['phillips'], 'phillipsAmplitude', 0.1, 3.0, 0.01, 'Amplitude'),
+    addSpectrumParam(['phillips'], 'phillipsCutoff', 0.0, 4.0, 0.05, 'Small-wave cutoff (m)'),
+    addSpectrumParam(['jonswap', 'tma'], 'jonswapGamma', 1.0, 7.0, 0.05, 'Peak enhancement'),
+    addSpectrumParam(['jonswap', 'tma'], 'jonswapSigmaA', 0.03, 0.15, 0.005, 'Sigma below peak'),
+    addSpectrumParam(['jonswap', 'tma'], 'jonswapSigmaB', 0.03, 0.15, 0.005, 'Sigma above peak'),
+    addSpectrumParam(['elfouhaily'], 'elfouhailyGamma', 1.0, 5.0, 0.05, 'Peak enhancement'),
+    addSpectrumParam(['piersonMoskowitz', 'jonswap', 'tma'], 'windSeaSpreading', 1.0, 40.0, 0.5, 'Directional spreading'),
+  ];
+
+  const updateSpectrumControls = () => {
+    spectrumParamControls.forEach(({ models, controller }) => {
+      controller.show(models.includes(params.spectrumModel));
+    });
+  };
+
+  spectrumModelController.name('Spectrum model').onChange((value) => {
+    updateSpectrumControls();
+    onOceanParamChange('spectrumModel', value);
+  });
+  updateSpectrumControls();
+
+  const swellFolder = gui.addFolder('Swell');
+  const onSwellChange = () => onOceanParamChange('swells', params.swells);
+
+  params.swells.forEach((swell, index) => {
+    const componentFolder = swellFolder.addFolder(`Swell ${index + 1}`);
+    componentFolder.add(swell, 'enabled').name('Enabled').onChange(onSwellChange);
+    componentFolder.add(swell, 'direction', 0.0, 360.0, 1.0).name('Direction').onChange(onSwellChange);
+    componentFolder.add(swell, 'peakPeriod', 4.0, 22.0, 0.1).name('Peak period (s)').onChange(onSwellChange);
+    componentFolder.add(swell, 'height', 0.0, 6.0, 0.05).name('Height Hs (m)').onChange(onSwellChange);
+    componentFolder.add(swell, 'spreading', 1.0, 60.0, 0.5).name('Spreading').onChange(onSwellChange);
+  });
+
   const lightingFolder = gui.addFolder('Lighting');
-  lightingFolder.add(params, 'sunElevation', 2.0, 85.0, 0.1).name('Sun elevation').onChange((value) => onOceanParamChange('sunElevation', value));
+  // Time of day moves the sun along its daily path; elevation and azimuth place it directly. All three follow the clock.
+  lightingFolder
+    .add(params, 'timeOfDay', 0.0, 24.0, 0.01)
+    .name('Time of day (h)')
+    .listen()
+    .onChange((value) => onOceanParamChange('timeOfDay', value));
+  lightingFolder.add(params, 'timeSpeed', 0.0, 2.0, 0.01).name('Auto-advance (h/s)').onChange((value) => onOceanParamChange('timeSpeed', value));
+  lightingFolder
+    .add(params, 'sunElevation', -30.0, 88.0, 0.1)
+    .name('Sun elevation')
+    .listen()
+    .onChange((value) => onOceanParamChange('sunElevation', value));
+  lightingFolder
+    .add(params, 'sunAzimuth', 0.0, 360.0, 0.1)
+    .name('Sun azimuth')
+    .listen()
+    .onChange((value) => onOceanParamChange('sunAzimuth', value));
+  lightingFolder
+    .add(params, 'moonPhase', 0.0, 1.0, 0.01)
+    .name('Moon phase')
+    .listen()
+    .onChange((value) => onOceanParamChange('moonPhase', value));
+
+  // Sun and moon from the ephemeris; the date keeps moving with auto-advance and the time of day.
+  const locationFolder = lightingFolder.addFolder('Location & date');
+  locationFolder
+    .add(params, 'useEphemeris')
+    .name('Follow date & location')
+    .listen()
+    .onChange((value) => onOceanParamChange('useEphemeris', value));
+  locationFolder.add(params, 'latitude', -89.9, 89.9, 0.01).name('Latitude (°N)').onChange((value) => onOceanParamChange('latitude', value));
+  locationFolder.add(params, 'longitude', -180.0, 180.0, 0.01).name('Longitude (°E)').onChange((value) => onOceanParamChange('longitude', value));
+  locationFolder
+    .add(params, 'dateTime')
+    .name('Date & time (UTC)')
+    .listen()
+    .onFinishChange((value) => onOceanParamChange('dateTime', value));
+  lightingFolder
+    .add(params, 'causticsStrength', 0.0, 1.5, 0.01)
+    .name('Caustics')
+    .onChange((value) => onOceanParamChange('causticsStrength', value));
   lightingFolder.add(params, 'exposure', 0.45, 2.2, 0.01).name('Exposure').onChange((value) => onExposureChange(value));
 
   const reflectionFolder = gui.addFolder('Reflections');
@@ -74,6 +215,10 @@ export const createOceanGui = ({
     })
     .name('Reflection quality')
     .onFinishChange((value) => onReflectionQualityChange(value));
+  reflectionFolder
+    .add(params, 'screenRefraction')
+    .name('Screen-space refraction')
+    .onChange((value) => onScreenRefractionChange(value));
 
   const qualityFolder = gui.addFolder('Quality / LOD');
   qualityFolder
@@ -85,14 +230,42 @@ export const createOceanGui = ({
     .name('Quality preset')
     .onFinishChange((value) => onQualityChange(value));
 
+  qualityFolder
+    .add(params, 'surfaceMode', {
+      'From preset': 'preset',
+      'LOD rings': 'lodRings',
+      'Projected grid': 'projectedGrid',
+    })
+    .name('Surface')
+    .onFinishChange((value) => onOceanParamChange('surfaceMode', value));
+
   qualityFolder.add(params, 'lodScale', 0.7, 1.8, 0.01).name('LOD scale').onChange((value) => onLodScaleChange(value));
+  qualityFolder
+    .add(params, 'planetCurvature')
+    .name('Earth curvature')
+    .onChange((value) => onOceanParamChange('planetCurvature', value));
+  qualityFolder
+    .add(params, 'planetRadiusKm', 50.0, 12000.0, 1.0)
+    .name('Planet radius (km)')
+    .onChange((value) => onOceanParamChange('planetRadiusKm', value));
+
+  // Filled in by the render loop from OceanSystem.getSurfaceStats().
+  const stats = { patchesDrawn: 0, triangles: 0 };
+  qualityFolder.add(stats, 'patchesDrawn').name('Patches drawn').disable().listen();
+  qualityFolder.add(stats, 'triangles').name('Triangles').disable().listen();
 
   const actions = {
     cinematicPresetAction: () => {
       Object.entries(cinematicPreset).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+          value.forEach((item, index) => Object.assign(params[key][index], item));
+          return;
+        }
+
         params[key] = value;
       });
       onApplyPreset({ ...cinematicPreset });
+      updateSpectrumControls();
 
       gui.controllersRecursive().forEach((controller) => {
         controller.updateDisplay();
@@ -105,6 +278,7 @@ export const createOceanGui = ({
   return {
     gui,
     params,
+    stats,
     dispose: () => {
       gui.destroy();
     },